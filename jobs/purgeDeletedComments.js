@@ -0,0 +1,38 @@
+
+const deletion = require('../services/deletion');
+
+// Periodically hard-remove deleted comments that have no replies.
+// DELETED_COMMENT_RETENTION_DAYS sets how long they are kept (default 30) and
+// PURGE_INTERVAL_MINUTES how often the purge runs (default 60).
+const start = () => {
+  const retentionDays = parseFloat(process.env.DELETED_COMMENT_RETENTION_DAYS) ||
+    deletion.DEFAULT_RETENTION_DAYS;
+  const intervalMinutes = parseFloat(process.env.PURGE_INTERVAL_MINUTES) || 60;
+
+  let running = false;
+
+  const run = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+
+    try {
+      const purged = await deletion.purgeDeletedComments({ retentionDays });
+
+      if (purged > 0) {
+        console.log(`Purged ${purged} deleted comments`);
+      }
+    } catch (err) {
+      console.error('Deleted comment purge failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = { start };
@@ -1,33 +1,50 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessions = require('../services/sessions');
+const { UnauthorizedError } = require('../utils/errors');
 
 const auth = async (req, res, next) => {
+  // Get token from header
+  const authHeader = req.header('Authorization');
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next(new UnauthorizedError('No authentication token, access denied'));
+  }
+  
+  const token = authHeader.replace('Bearer ', '');
+  let decoded;
+  
+  // Verify token
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(new UnauthorizedError('Token is not valid', { code: 'INVALID_TOKEN' }));
+  }
+  
   try {
-    // Get token from header
-    const authHeader = req.header('Authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'No authentication token, access denied' });
-    }
-    
-    const token = authHeader.replace('Bearer ', '');
-    
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
     // Find user
     const user = await User.findById(decoded.id);
     
     if (!user) {
-      return res.status(401).json({ message: 'User not found' });
+      return next(new UnauthorizedError('User not found', { code: 'INVALID_TOKEN' }));
+    }
+    
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(new UnauthorizedError('Password was changed, please log in again', { code: 'TOKEN_REVOKED' }));
+    }
+    
+    // Signing out, or refresh token reuse, ends the session
+    if (!await sessions.isSessionLive(decoded.sid)) {
+      return next(new UnauthorizedError('Session has ended, please log in again', { code: 'TOKEN_REVOKED' }));
     }
     
-    // Add user to request
+    // Add user and session to request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    next(err);
   }
 };
 
@@ -0,0 +1,74 @@
+
+const mongoose = require('mongoose');
+const {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  ConflictError,
+  NotFoundError
+} = require('../utils/errors');
+
+// Turn whatever was thrown into an HttpError
+const normalize = (err) => {
+  if (err instanceof HttpError) return err;
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    const fields = {};
+    Object.entries(err.errors).forEach(([path, error]) => {
+      fields[path] = error.message;
+    });
+    return new ValidationError(fields, Object.values(fields)[0]);
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid ${err.path}`, {
+      code: 'INVALID_ID',
+      details: { fields: { [err.path]: 'is not valid' } }
+    });
+  }
+
+  if (err.code === 11000) {
+    return new ConflictError('That already exists', { code: 'DUPLICATE' });
+  }
+
+  // Malformed JSON and other body parser errors
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+  }
+
+  if (err.status >= 400 && err.status < 500 && err.expose) {
+    return new HttpError(err.status, err.message, { code: 'BAD_REQUEST' });
+  }
+
+  return null;
+};
+
+// Unknown routes
+const notFound = (req, res, next) => next(new NotFoundError('Route not found'));
+
+// Respond with { message, code, ...details }. Unexpected errors are logged
+// and only described in development.
+const errorHandler = (err, req, res, next) => {
+  const error = normalize(err);
+  
+  if (!error) {
+    console.error(err.stack || err);
+    return res.status(500).json({
+      message: 'Something went wrong!',
+      code: 'INTERNAL_ERROR',
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+  
+  res.status(error.status).json({
+    message: error.message,
+    code: error.code,
+    ...error.details
+  });
+};
+
+module.exports = {
+  normalize,
+  notFound,
+  errorHandler
+};
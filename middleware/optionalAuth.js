@@ -0,0 +1,31 @@
+
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const sessions = require('../services/sessions');
+
+// Like auth, but lets anonymous requests through. Sets req.user when a valid
+// token is present and ignores missing or invalid ones.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.header('Authorization');
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id);
+    
+    if (user && !user.changedPasswordAfter(decoded.iat) && await sessions.isSessionLive(decoded.sid)) {
+      req.user = user;
+      req.sessionId = decoded.sid;
+    }
+  } catch (err) {
+    // Treat a bad token like no token
+  }
+  
+  next();
+};
+
+module.exports = optionalAuth;
@@ -0,0 +1,47 @@
+
+const rateLimits = require('../services/rateLimit');
+const { TooManyRequestsError } = require('../utils/errors');
+
+// Limit a route by one of the policies in services/rateLimit. Use after auth
+// on signed-in routes so requests are counted per user. Policies keyed by
+// username count the account named in `req.body.username`, and skip requests
+// without one.
+const rateLimit = (policy) => async (req, res, next) => {
+  if (rateLimits.isDisabled()) return next();
+  
+  const { key } = rateLimits.POLICIES[policy] || {};
+  const username = req.body && req.body.username;
+  
+  if (key === 'username' && (typeof username !== 'string' || !username.trim())) {
+    return next();
+  }
+  
+  let result;
+  
+  try {
+    result = await rateLimits.hit(policy, { user: req.user, ip: req.ip, username });
+  } catch (err) {
+    // Don't take the route down with the store
+    console.error('Rate limit check failed:', err);
+    return next();
+  }
+  
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+  
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(resetSeconds)
+  });
+  
+  if (!result.allowed) {
+    res.set('Retry-After', String(resetSeconds));
+    return next(new TooManyRequestsError(`Too many requests, try again in ${resetSeconds} seconds`, {
+      details: { retryAfter: resetSeconds }
+    }));
+  }
+  
+  next();
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,13 @@
+
+const { ForbiddenError } = require('../utils/errors');
+
+// Use after auth on routes unverified accounts can't use
+const requireVerified = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return next(new ForbiddenError('Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' }));
+  }
+  
+  next();
+};
+
+module.exports = requireVerified;
@@ -0,0 +1,32 @@
+
+const { parse } = require('../utils/schema');
+const { ValidationError } = require('../utils/errors');
+
+// Validate a route's params, query and body against schemas built with
+// utils/schema, e.g. validate({ params: { id: v.objectId() } }). Each part is
+// replaced with its parsed value, which only has the declared fields.
+const validate = (schemas) => (req, res, next) => {
+  const fields = {};
+  const parsed = {};
+  
+  ['params', 'query', 'body'].forEach(location => {
+    if (!schemas[location]) return;
+    
+    const result = parse(schemas[location], req[location] || {}, { coerce: location !== 'body' });
+    
+    Object.entries(result.errors).forEach(([path, message]) => {
+      fields[path || location] = message;
+    });
+    
+    parsed[location] = result.value;
+  });
+  
+  if (Object.keys(fields).length > 0) {
+    return next(new ValidationError(fields));
+  }
+  
+  Object.assign(req, parsed);
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,164 @@
+
+const mongoose = require('mongoose');
+
+// Flair condition: matches when the flair is missing, or is one of `anyOf`
+const flairConditionSchema = new mongoose.Schema({
+  missing: {
+    type: Boolean
+  },
+  anyOf: [{
+    type: String,
+    trim: true,
+    maxlength: [64, 'Flair text cannot exceed 64 characters']
+  }]
+}, { _id: false });
+
+// One text check; matches when any keyword or the regex matches the field
+const matchSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true,
+    enum: {
+      values: ['title', 'body', 'domain'],
+      message: 'Match field must be title, body or domain'
+    }
+  },
+  keywords: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Keywords cannot exceed 100 characters']
+  }],
+  regex: {
+    type: String,
+    maxlength: [500, 'Regex cannot exceed 500 characters'],
+    validate: {
+      validator: (value) => {
+        try {
+          new RegExp(value, 'i');
+          return true;
+        } catch (err) {
+          return false;
+        }
+      },
+      message: 'Regex is not valid'
+    }
+  }
+}, { _id: false });
+
+// A community's automoderation rule. A rule fires when all of its conditions
+// match a new post or comment, and then takes all of its actions.
+const automodRuleSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  appliesTo: {
+    type: String,
+    enum: {
+      values: ['post', 'comment', 'all'],
+      message: 'Rules apply to post, comment or all'
+    },
+    default: 'all'
+  },
+  conditions: {
+    // All of these have to match
+    matches: [matchSchema],
+    // Fires for authors younger or with less karma than this
+    author: {
+      accountAgeLessThanDays: {
+        type: Number,
+        min: [0, 'Account age cannot be negative']
+      },
+      karmaLessThan: {
+        type: Number
+      }
+    },
+    // The post's flair; for comments, the flair of the post they are on
+    postFlair: flairConditionSchema
+  },
+  actions: {
+    remove: {
+      type: Boolean,
+      default: false
+    },
+    // Hide the content until a moderator approves it from the mod queue
+    filter: {
+      type: Boolean,
+      default: false
+    },
+    lock: {
+      type: Boolean,
+      default: false
+    },
+    // Post flair template to apply; posts only
+    flairId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Comment to post in reply, as the automod user
+    reply: {
+      type: String,
+      trim: true,
+      maxlength: [10000, 'Reply cannot exceed 10000 characters']
+    }
+  },
+  // Shown as the removal reason and recorded in the mod log
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+automodRuleSchema.index({ community: 1, createdAt: 1 });
+
+// A rule without conditions would fire on everything, and one without
+// actions would do nothing
+automodRuleSchema.pre('validate', function(next) {
+  const { matches, author, postFlair } = this.conditions;
+  const hasCondition = matches.length > 0 ||
+    author.accountAgeLessThanDays != null ||
+    author.karmaLessThan != null ||
+    Boolean(postFlair && (postFlair.missing || postFlair.anyOf.length > 0));
+
+  if (!hasCondition) {
+    this.invalidate('conditions', 'A rule needs at least one condition');
+  }
+
+  matches.forEach((match, i) => {
+    if (match.keywords.length === 0 && !match.regex) {
+      this.invalidate(`conditions.matches.${i}`, 'A match needs keywords or a regex');
+    }
+  });
+
+  const { remove, filter, lock, flairId, reply } = this.actions;
+
+  if (!remove && !filter && !lock && !flairId && !reply) {
+    this.invalidate('actions', 'A rule needs at least one action');
+  }
+
+  if (remove && filter) {
+    this.invalidate('actions', 'A rule can remove or filter, not both');
+  }
+
+  next();
+});
+
+const AutomodRule = mongoose.model('AutomodRule', automodRuleSchema);
+
+module.exports = AutomodRule;
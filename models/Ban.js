@@ -0,0 +1,50 @@
+
+const mongoose = require('mongoose');
+
+const banSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Internal reason, only shown to moderators
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Ban reason cannot exceed 300 characters']
+  },
+  // Message shown to the banned user
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Ban note cannot exceed 1000 characters']
+  },
+  // Null for permanent bans
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One ban per user and community
+banSchema.index({ community: 1, user: 1 }, { unique: true });
+banSchema.index({ community: 1, createdAt: -1, _id: -1 });
+
+// Let MongoDB clean up expired bans; lookups also check expiresAt since the
+// TTL monitor only runs about once a minute
+banSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Ban = mongoose.model('Ban', banSchema);
+
+module.exports = Ban;
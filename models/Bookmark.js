@@ -0,0 +1,43 @@
+
+const mongoose = require('mongoose');
+
+// A post or comment a user saved or hid
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  list: {
+    type: String,
+    enum: ['saved', 'hidden'],
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  }
+}, {
+  timestamps: true
+});
+
+// Each item is in each list at most once
+bookmarkSchema.index(
+  { user: 1, list: 1, post: 1 },
+  { unique: true, partialFilterExpression: { post: { $exists: true } } }
+);
+bookmarkSchema.index(
+  { user: 1, list: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { comment: { $exists: true } } }
+);
+
+// Index backing the saved and hidden listings
+bookmarkSchema.index({ user: 1, list: 1, createdAt: -1, _id: -1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+module.exports = Bookmark;
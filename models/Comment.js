@@ -1,5 +1,7 @@
 
 const mongoose = require('mongoose');
+const markdown = require('../utils/markdown');
+const ranking = require('../utils/ranking');
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -7,20 +9,54 @@ const commentSchema = new mongoose.Schema({
     required: [true, 'Comment content is required'],
     trim: true
   },
+  // Sanitized HTML rendered from `content` by utils/markdown, and the
+  // renderer version that produced it
+  contentHtml: {
+    type: String
+  },
+  renderVersion: {
+    type: Number
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Deleted content is disassociated from its author
+    required: function() { return !this.deleted; }
   },
   post: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post',
     required: true
   },
+  // Copied from the post so moderation queries don't need a join
+  community: {
+    type: String
+  },
+  // The author's flair in the community, kept in sync by services/flair
+  authorFlair: {
+    templateId: mongoose.Schema.Types.ObjectId,
+    text: String,
+    textColor: String,
+    backgroundColor: String
+  },
   parentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
   },
+  // Ancestor ids from the top-level comment down to the parent
+  path: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Number of direct replies
+  replyCount: {
+    type: Number,
+    default: 0
+  },
   upvotes: {
     type: Number,
     default: 0
@@ -29,22 +65,130 @@ const commentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  voters: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    vote: {
-      type: Number,
-      enum: [-1, 1]
-    }
-  }]
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Set by edits made after the grace window; see services/revisions
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  // Locked comments take no new replies, except from moderators
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Moderator removal; unlike deletion the original content is kept
+  removed: {
+    type: Boolean,
+    default: false
+  },
+  removedAt: {
+    type: Date
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removalReason: {
+    type: String
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  // Open user reports; reset when a moderator reviews the item
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Reports keep being counted but no longer queue or hide the item
+  reportsIgnored: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden after passing the community's report threshold
+  reportHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Waiting in the community's mod queue
+  pendingReview: {
+    type: Boolean,
+    default: false
+  },
+  queuedAt: {
+    type: Date
+  },
+  // Ranking scores, kept up to date by utils/ranking
+  score: {
+    type: Number,
+    default: 0
+  },
+  confidenceScore: {
+    type: Number,
+    default: 0
+  },
+  controversialScore: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Index backing the user comment listing
+commentSchema.index({ author: 1, createdAt: -1, _id: -1 });
+
+// Indexes backing comment tree loading, one per sort in
+// utils/ranking COMMENT_SORTS (old walks the new one backwards)
+commentSchema.index({ post: 1, parentId: 1, confidenceScore: -1, createdAt: -1, _id: -1 });
+commentSchema.index({ post: 1, parentId: 1, score: -1, createdAt: -1, _id: -1 });
+commentSchema.index({ post: 1, parentId: 1, controversialScore: -1, createdAt: -1, _id: -1 });
+commentSchema.index({ post: 1, parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ path: 1, depth: 1 });
+
+// Index backing the mod queue
+commentSchema.index(
+  { community: 1, queuedAt: -1, _id: -1 },
+  { partialFilterExpression: { pendingReview: true } }
+);
+
+// Index backing the purge of deleted comments
+commentSchema.index({ deleted: 1, deletedAt: 1 }, { partialFilterExpression: { deleted: true } });
+
+// Full-text search
+commentSchema.index({ content: 'text' }, { name: 'comment_text' });
+
+// Keep ranking scores in sync with the vote counts
+commentSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes')) {
+    ranking.applyCommentScores(this);
+  }
+  next();
+});
+
+// Keep the rendered HTML in sync with the Markdown source
+commentSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    this.contentHtml = markdown.render(this.content);
+    this.renderVersion = markdown.RENDERER_VERSION;
+  }
+  next();
+});
+
 // Virtual for replies
 commentSchema.virtual('replies', {
   ref: 'Comment',
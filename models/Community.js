@@ -14,6 +14,16 @@ const communitySchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // public: anyone can view and post; restricted: anyone can view, only
+  // approved submitters can post; private: only members can view
+  type: {
+    type: String,
+    enum: {
+      values: ['public', 'restricted', 'private'],
+      message: 'Community type must be public, restricted or private'
+    },
+    default: 'public'
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -31,10 +41,69 @@ const communitySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Users allowed to post in a restricted community
+  approvedSubmitters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   rules: [{
     title: String,
     description: String
   }],
+  // Saved reasons moderators can pick when removing content
+  removalReasons: [{
+    title: {
+      type: String,
+      required: [true, 'Removal reason title is required'],
+      trim: true,
+      maxlength: [100, 'Removal reason title cannot exceed 100 characters']
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Removal reason message cannot exceed 1000 characters']
+    }
+  }],
+  // Flair moderators offer for posts and users; mod-only flair can only be
+  // applied by moderators
+  flairTemplates: [{
+    type: {
+      type: String,
+      enum: {
+        values: ['post', 'user'],
+        message: 'Flair type must be post or user'
+      },
+      default: 'post'
+    },
+    text: {
+      type: String,
+      required: [true, 'Flair text is required'],
+      trim: true,
+      maxlength: [64, 'Flair text cannot exceed 64 characters']
+    },
+    textColor: {
+      type: String,
+      enum: {
+        values: ['dark', 'light'],
+        message: 'Flair text color must be dark or light'
+      },
+      default: 'dark'
+    },
+    backgroundColor: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, 'Flair background color must be a hex color like #ff4500']
+    },
+    modOnly: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Reports after which content is hidden until reviewed; falls back to
+  // REPORT_HIDE_THRESHOLD when unset
+  reportThreshold: {
+    type: Number,
+    min: [1, 'Report threshold must be at least 1']
+  },
   banner: {
     type: String
   },
@@ -45,6 +114,18 @@ const communitySchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index backing the community listings
+communitySchema.index({ memberCount: -1, _id: -1 });
+
+// Finding the private communities a user can't see
+communitySchema.index({ type: 1 }, { partialFilterExpression: { type: 'private' } });
+
+// Full-text search, names count for more than descriptions
+communitySchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 }, name: 'community_text' }
+);
+
 const Community = mongoose.model('Community', communitySchema);
 
 module.exports = Community;
@@ -0,0 +1,30 @@
+
+const mongoose = require('mongoose');
+
+// A moderator's invitation to join a private community
+const communityInviteSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+communityInviteSchema.index({ community: 1, user: 1 }, { unique: true });
+communityInviteSchema.index({ user: 1, createdAt: -1, _id: -1 });
+communityInviteSchema.index({ community: 1, createdAt: -1, _id: -1 });
+
+const CommunityInvite = mongoose.model('CommunityInvite', communityInviteSchema);
+
+module.exports = CommunityInvite;
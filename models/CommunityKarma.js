@@ -0,0 +1,36 @@
+
+const mongoose = require('mongoose');
+
+const communityKarmaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  community: {
+    type: String,
+    required: true
+  },
+  karma: {
+    type: Number,
+    default: 0
+  },
+  postKarma: {
+    type: Number,
+    default: 0
+  },
+  commentKarma: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One ledger entry per user and community
+communityKarmaSchema.index({ user: 1, community: 1 }, { unique: true });
+communityKarmaSchema.index({ user: 1, karma: -1 });
+
+const CommunityKarma = mongoose.model('CommunityKarma', communityKarmaSchema);
+
+module.exports = CommunityKarma;
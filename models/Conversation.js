@@ -0,0 +1,66 @@
+
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  // Direct messages are between two users; modmail is between a user and a
+  // community's moderators
+  kind: {
+    type: String,
+    enum: ['direct', 'modmail'],
+    default: 'direct'
+  },
+  // The users in the conversation; for modmail only the non-moderator side
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Modmail only
+  community: {
+    type: String
+  },
+  // Sorted participant ids, so two users share one direct conversation
+  directKey: {
+    type: String
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Subject cannot exceed 100 characters']
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When each reader last read the conversation; moderators reading modmail
+  // each have their own entry
+  reads: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+conversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $exists: true } } }
+);
+
+// Indexes backing the inbox and the modmail listing
+conversationSchema.index({ participants: 1, lastMessageAt: -1, _id: -1 });
+conversationSchema.index(
+  { community: 1, lastMessageAt: -1, _id: -1 },
+  { partialFilterExpression: { kind: 'modmail' } }
+);
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
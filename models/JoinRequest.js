@@ -0,0 +1,43 @@
+
+const mongoose = require('mongoose');
+
+// A request to join a private community, waiting for a moderator
+const joinRequestSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shown to the moderators reviewing the request
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Request message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One request per user and community; asking again reopens it
+joinRequestSchema.index({ community: 1, user: 1 }, { unique: true });
+joinRequestSchema.index({ community: 1, status: 1, createdAt: -1, _id: -1 });
+
+const JoinRequest = mongoose.model('JoinRequest', joinRequestSchema);
+
+module.exports = JoinRequest;
@@ -0,0 +1,42 @@
+
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Where the uploaded file is served from
+  url: {
+    type: String,
+    required: [true, 'Media URL is required'],
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: [true, 'Media type is required'],
+    enum: {
+      values: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+      message: 'Unsupported media type'
+    }
+  },
+  width: {
+    type: Number,
+    min: 1
+  },
+  height: {
+    type: Number,
+    min: 1
+  },
+  size: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Media = mongoose.model('Media', mediaSchema);
+
+module.exports = Media;
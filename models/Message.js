@@ -0,0 +1,35 @@
+
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when a moderator sent modmail as the community; the sender is then
+  // only shown to other moderators
+  asCommunity: {
+    type: String
+  },
+  body: {
+    type: String,
+    required: [true, 'Message body is required'],
+    trim: true,
+    maxlength: [10000, 'Message cannot exceed 10000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index backing threads and unread counts
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
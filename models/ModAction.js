@@ -0,0 +1,88 @@
+
+const mongoose = require('mongoose');
+
+const modActionSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  // Null for actions taken automatically
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'removePost',
+      'approvePost',
+      'removeComment',
+      'approveComment',
+      'addModerator',
+      'removeModerator',
+      'editRules',
+      'editDescription',
+      'addRemovalReason',
+      'editRemovalReason',
+      'deleteRemovalReason',
+      'banUser',
+      'unbanUser',
+      'muteUser',
+      'unmuteUser',
+      'ignoreReports',
+      'editSettings',
+      'addFlair',
+      'editFlair',
+      'deleteFlair',
+      'editPostFlair',
+      'editUserFlair',
+      'approveJoinRequest',
+      'denyJoinRequest',
+      'inviteUser',
+      'revokeInvite',
+      'addApprovedSubmitter',
+      'removeApprovedSubmitter',
+      'lockPost',
+      'unlockPost',
+      'lockComment',
+      'unlockComment',
+      'filterPost',
+      'filterComment',
+      'automodReply',
+      'addAutomodRule',
+      'editAutomodRule',
+      'deleteAutomodRule'
+    ]
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  targetPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  targetComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes backing the mod log listing and its filters
+modActionSchema.index({ community: 1, createdAt: -1, _id: -1 });
+modActionSchema.index({ community: 1, action: 1, createdAt: -1 });
+modActionSchema.index({ community: 1, moderator: 1, createdAt: -1 });
+
+const ModAction = mongoose.model('ModAction', modActionSchema);
+
+module.exports = ModAction;
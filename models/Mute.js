@@ -0,0 +1,45 @@
+
+const mongoose = require('mongoose');
+
+// A temporary modmail mute: the user can't write to the community's
+// moderators until it expires
+const muteSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Internal reason, only shown to moderators
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Mute reason cannot exceed 300 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One mute per user and community
+muteSchema.index({ community: 1, user: 1 }, { unique: true });
+muteSchema.index({ community: 1, createdAt: -1, _id: -1 });
+
+// Let MongoDB clean up expired mutes; lookups also check expiresAt since the
+// TTL monitor only runs about once a minute
+muteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Mute = mongoose.model('Mute', muteSchema);
+
+module.exports = Mute;
@@ -0,0 +1,53 @@
+
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['postReply', 'commentReply', 'mention', 'contentRemoved']
+  },
+  // Who caused the notification
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  community: {
+    type: String
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  // Removal reason for contentRemoved notifications
+  reason: {
+    type: String
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes backing the inbox and the unread count
+notificationSchema.index({ user: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ user: 1, read: 1, createdAt: -1, _id: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
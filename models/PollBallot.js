@@ -0,0 +1,29 @@
+
+const mongoose = require('mongoose');
+
+const pollBallotSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Ids of the chosen poll options
+  choices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }]
+}, {
+  timestamps: true
+});
+
+// One ballot per user per poll
+pollBallotSchema.index({ post: 1, user: 1 }, { unique: true });
+
+const PollBallot = mongoose.model('PollBallot', pollBallotSchema);
+
+module.exports = PollBallot;
@@ -1,5 +1,47 @@
 
 const mongoose = require('mongoose');
+const markdown = require('../utils/markdown');
+const ranking = require('../utils/ranking');
+
+// Vote counts are hidden from listings; services/polls selects them when the
+// viewer is allowed to see results
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Poll option text is required'],
+    trim: true,
+    maxlength: [120, 'Poll options cannot exceed 120 characters']
+  },
+  votes: {
+    type: Number,
+    default: 0,
+    select: false
+  }
+});
+
+const pollSchema = new mongoose.Schema({
+  options: {
+    type: [pollOptionSchema],
+    validate: {
+      validator: options => options.length >= 2 && options.length <= 6,
+      message: 'Polls need between 2 and 6 options'
+    }
+  },
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  // Open indefinitely when not set
+  closesAt: {
+    type: Date
+  },
+  // Number of ballots cast
+  totalVotes: {
+    type: Number,
+    default: 0,
+    select: false
+  }
+}, { _id: false });
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -8,19 +50,75 @@ const postSchema = new mongoose.Schema({
     trim: true,
     maxlength: [300, 'Title cannot exceed 300 characters']
   },
+  kind: {
+    type: String,
+    enum: {
+      values: ['text', 'link', 'image', 'poll'],
+      message: 'Post kind must be text, link, image or poll'
+    },
+    default: 'text'
+  },
   content: {
     type: String,
-    required: [true, 'Content is required']
+    required: [function() { return this.kind === 'text'; }, 'Content is required']
+  },
+  // Sanitized HTML rendered from `content` by utils/markdown, and the
+  // renderer version that produced it
+  contentHtml: {
+    type: String
+  },
+  renderVersion: {
+    type: Number
+  },
+  // Link posts: normalized URL, its domain and fetched metadata
+  url: {
+    type: String,
+    required: [function() { return this.kind === 'link' && !this.deleted; }, 'URL is required for link posts']
+  },
+  domain: {
+    type: String,
+    lowercase: true
+  },
+  linkMeta: {
+    title: String,
+    description: String,
+    thumbnail: String,
+    fetchedAt: Date
+  },
+  // Image posts
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    required: [function() { return this.kind === 'image' && !this.deleted; }, 'Image is required for image posts']
+  },
+  // Poll posts; content is an optional description
+  poll: {
+    type: pollSchema,
+    required: [function() { return this.kind === 'poll' && !this.deleted; }, 'Poll options are required for poll posts']
   },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // Deleted content is disassociated from its author
+    required: function() { return !this.deleted; }
   },
   community: {
     type: String,
     required: [true, 'Community is required']
   },
+  flair: {
+    templateId: mongoose.Schema.Types.ObjectId,
+    text: String,
+    textColor: String,
+    backgroundColor: String
+  },
+  // The author's flair in the community, kept in sync by services/flair
+  authorFlair: {
+    templateId: mongoose.Schema.Types.ObjectId,
+    text: String,
+    textColor: String,
+    backgroundColor: String
+  },
   upvotes: {
     type: Number,
     default: 0
@@ -33,22 +131,144 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  voters: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    vote: {
-      type: Number,
-      enum: [-1, 1]
-    }
-  }]
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  // Set by edits made after the grace window; see services/revisions
+  edited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  // Locked posts take no new replies, except from moderators
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  // Moderator removal; unlike deletion the original content is kept
+  removed: {
+    type: Boolean,
+    default: false
+  },
+  removedAt: {
+    type: Date
+  },
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removalReason: {
+    type: String
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: {
+    type: Date
+  },
+  // Open user reports; reset when a moderator reviews the item
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  // Reports keep being counted but no longer queue or hide the item
+  reportsIgnored: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden after passing the community's report threshold
+  reportHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Waiting in the community's mod queue
+  pendingReview: {
+    type: Boolean,
+    default: false
+  },
+  queuedAt: {
+    type: Date
+  },
+  // Ranking scores, kept up to date by utils/ranking
+  score: {
+    type: Number,
+    default: 0
+  },
+  hotScore: {
+    type: Number,
+    default: 0
+  },
+  risingScore: {
+    type: Number
+  },
+  controversialScore: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
+// Indexes backing the feed sorts
+postSchema.index({ hotScore: -1, _id: -1 });
+postSchema.index({ risingScore: -1, _id: -1 });
+postSchema.index({ score: -1, createdAt: -1 });
+postSchema.index({ controversialScore: -1, createdAt: -1 });
+postSchema.index({ createdAt: -1 });
+postSchema.index({ community: 1, hotScore: -1, _id: -1 });
+postSchema.index({ community: 1, createdAt: -1 });
+postSchema.index({ author: 1, createdAt: -1 });
+postSchema.index(
+  { domain: 1, hotScore: -1, _id: -1 },
+  { partialFilterExpression: { domain: { $exists: true } } }
+);
+postSchema.index(
+  { domain: 1, createdAt: -1 },
+  { partialFilterExpression: { domain: { $exists: true } } }
+);
+postSchema.index(
+  { community: 1, 'flair.text': 1, hotScore: -1, _id: -1 },
+  { partialFilterExpression: { 'flair.text': { $exists: true } } }
+);
+
+// Index backing the mod queue
+postSchema.index(
+  { community: 1, queuedAt: -1, _id: -1 },
+  { partialFilterExpression: { pendingReview: true } }
+);
+
+// Full-text search, titles count for more than bodies
+postSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 3, content: 1 }, name: 'post_text' }
+);
+
+// Keep ranking scores in sync with the vote counts
+postSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('upvotes') || this.isModified('downvotes')) {
+    ranking.applyScores(this);
+  }
+  next();
+});
+
+// Keep the rendered HTML in sync with the Markdown source
+postSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    this.contentHtml = this.content ? markdown.render(this.content) : undefined;
+    this.renderVersion = this.content ? markdown.RENDERER_VERSION : undefined;
+  }
+  next();
+});
+
 // Virtual for comments
 postSchema.virtual('comments', {
   ref: 'Comment',
@@ -0,0 +1,56 @@
+
+const mongoose = require('mongoose');
+
+const reportSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  // Set when the report cites one of the community's rules
+  rule: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'ignored', 'actioned'],
+    default: 'open'
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only report an item once
+reportSchema.index(
+  { reporter: 1, post: 1 },
+  { unique: true, partialFilterExpression: { post: { $exists: true } } }
+);
+reportSchema.index(
+  { reporter: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { comment: { $exists: true } } }
+);
+
+// Indexes backing the reasons shown in the mod queue
+reportSchema.index({ post: 1, status: 1 });
+reportSchema.index({ comment: 1, status: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,38 @@
+
+const mongoose = require('mongoose');
+
+// A version of a post or comment that was replaced by an edit. `createdAt` is
+// when the edit replaced it.
+const revisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  // Posts only
+  title: {
+    type: String
+  },
+  content: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes backing the revision history
+revisionSchema.index(
+  { post: 1, createdAt: 1 },
+  { partialFilterExpression: { post: { $exists: true } } }
+);
+revisionSchema.index(
+  { comment: 1, createdAt: 1 },
+  { partialFilterExpression: { comment: { $exists: true } } }
+);
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = Revision;
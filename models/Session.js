@@ -0,0 +1,53 @@
+
+const mongoose = require('mongoose');
+
+// A logged-in device. The refresh token is only stored hashed and changes on
+// every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  // Short description of the browser and OS, e.g. "Firefox on Windows"
+  device: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  // logout, revoked, passwordChange or reuse
+  revokedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index backing the session list
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+
+// Expired sessions are deleted by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -19,12 +19,23 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     validate: [validator.isEmail, 'Please provide a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Access tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date
+  },
   avatar: {
     type: String
   },
@@ -32,14 +43,57 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  postKarma: {
+    type: Number,
+    default: 0
+  },
+  commentKarma: {
+    type: Number,
+    default: 0
+  },
   communities: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community'
-  }]
+  }],
+  // Users this user doesn't want to hear from; private to the user
+  blockedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Marks the account automod posts from (services/automod)
+  automod: {
+    type: Boolean,
+    select: false
+  },
+  // Which notifications the user wants to receive
+  notificationPreferences: {
+    postReply: {
+      type: Boolean,
+      default: true
+    },
+    commentReply: {
+      type: Boolean,
+      default: true
+    },
+    mention: {
+      type: Boolean,
+      default: true
+    },
+    contentRemoved: {
+      type: Boolean,
+      default: true
+    }
+  }
 }, {
   timestamps: true
 });
 
+// There is only one automod account
+userSchema.index({ automod: 1 }, { unique: true, partialFilterExpression: { automod: true } });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -47,12 +101,25 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+    
     next();
   } catch (err) {
     next(err);
   }
 });
 
+// Whether a token issued at `iat` (seconds) predates the last password change.
+// Compared in whole seconds like `iat`, so tokens issued in the same second
+// as the change, such as the ones for the new session, stay valid.
+userSchema.methods.changedPasswordAfter = function(iat) {
+  return Boolean(this.passwordChangedAt) &&
+    iat < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,49 @@
+
+const mongoose = require('mongoose');
+
+// A user's flair in one community
+const userFlairSchema = new mongoose.Schema({
+  community: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Template the flair was picked from; unset for custom moderator flair
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  text: {
+    type: String,
+    required: [true, 'Flair text is required'],
+    trim: true,
+    maxlength: [64, 'Flair text cannot exceed 64 characters']
+  },
+  textColor: {
+    type: String,
+    enum: {
+      values: ['dark', 'light'],
+      message: 'Flair text color must be dark or light'
+    },
+    default: 'dark'
+  },
+  backgroundColor: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Flair background color must be a hex color like #ff4500']
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+userFlairSchema.index({ community: 1, user: 1 }, { unique: true });
+
+const UserFlair = mongoose.model('UserFlair', userFlairSchema);
+
+module.exports = UserFlair;
@@ -24,9 +24,17 @@ const voteSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Ensure a user can only vote once on a post or comment
-voteSchema.index({ user: 1, post: 1 }, { unique: true, sparse: true });
-voteSchema.index({ user: 1, comment: 1 }, { unique: true, sparse: true });
+// Ensure a user can only vote once on a post or comment. Partial rather than
+// sparse indexes, since every vote has a user and would otherwise collide on
+// the target it doesn't have.
+voteSchema.index(
+  { user: 1, post: 1 },
+  { unique: true, partialFilterExpression: { post: { $exists: true } } }
+);
+voteSchema.index(
+  { user: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { comment: { $exists: true } } }
+);
 
 const Vote = mongoose.model('Vote', voteSchema);
 
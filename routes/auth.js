@@ -1,117 +1,235 @@
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { BadRequestError, ConflictError, NotFoundError, UnauthorizedError } = require('../utils/errors');
+const accountEmails = require('../services/accountEmails');
+const automod = require('../services/automod');
+const sessions = require('../services/sessions');
 
 const router = express.Router();
 
+const password = v.string({ min: 6, max: 128, trim: false });
+const token = v.string({ min: 1, max: 512 });
+
+const invalidCredentials = () => new UnauthorizedError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+
 // Register a new user
-router.post('/register', async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
-    
-    // Check if user already exists
-    const existingUser = await User.findOne({ 
-      $or: [{ email }, { username }] 
-    });
-    
-    if (existingUser) {
-      if (existingUser.email === email) {
-        return res.status(400).json({ message: 'Email already in use' });
-      } else {
-        return res.status(400).json({ message: 'Username already taken' });
-      }
+router.post('/register', rateLimit('register'), validate({
+  body: {
+    username: v.string({
+      min: 3,
+      max: 50,
+      pattern: /^[a-zA-Z0-9_]+$/,
+      patternMessage: 'can only contain letters, numbers and underscores'
+    }),
+    email: v.string({ min: 1, max: 254, lowercase: true }),
+    password
+  }
+}), asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
+  
+  // Automod posts under its own account, created on first use
+  if (username.toLowerCase() === automod.getUsername().toLowerCase()) {
+    throw new ConflictError('Username already taken', { code: 'USERNAME_TAKEN' });
+  }
+  
+  // Check if user already exists
+  const existingUser = await User.findOne({ 
+    $or: [{ email }, { username }] 
+  });
+  
+  if (existingUser) {
+    if (existingUser.email === email) {
+      throw new ConflictError('Email already in use', { code: 'EMAIL_TAKEN' });
+    } else {
+      throw new ConflictError('Username already taken', { code: 'USERNAME_TAKEN' });
     }
-    
-    // Create new user
-    const user = new User({
-      username,
-      email,
-      password
-    });
-    
-    await user.save();
-    
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-    
-    res.status(201).json({
-      token,
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        karma: user.karma,
-        createdAt: user.createdAt
-      }
-    });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
   }
-});
-
-// Login user
-router.post('/login', async (req, res) => {
+  
+  // Create new user
+  const user = new User({
+    username,
+    email,
+    password
+  });
+  
+  await user.save();
+  
+  // A failed email shouldn't fail the signup; the user can ask for another
   try {
-    const { username, password } = req.body;
-    
-    // Find user
-    const user = await User.findOne({ username }).select('+password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-    
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
-    
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
-    
-    res.json({
-      token,
-      user: {
-        _id: user._id,
-        username: user.username,
-        email: user.email,
-        karma: user.karma,
-        createdAt: user.createdAt
-      }
-    });
+    await accountEmails.sendVerification(user);
   } catch (err) {
-    res.status(400).json({ message: err.message });
+    console.error('Failed to send verification email:', err);
   }
-});
+  
+  // Start a session for this device
+  const tokens = await sessions.createSession(user, req);
+  
+  res.status(201).json({
+    ...tokens,
+    user: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      karma: user.karma,
+      createdAt: user.createdAt
+    }
+  });
+}));
 
-// Get current user
-router.get('/me', auth, async (req, res) => {
-  try {
-    // User is already added to req by auth middleware
-    const user = req.user;
-    
-    res.json({
+// Login user
+router.post('/login', rateLimit('login'), rateLimit('loginAccount'), validate({
+  body: {
+    username: v.string({ min: 1 }),
+    password: v.string({ min: 1, trim: false })
+  }
+}), asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+  
+  // Find user
+  const user = await User.findOne({ username }).select('+password');
+  
+  if (!user) {
+    throw invalidCredentials();
+  }
+  
+  // Check password
+  const isMatch = await user.comparePassword(password);
+  
+  if (!isMatch) {
+    throw invalidCredentials();
+  }
+  
+  // Start a session for this device
+  const tokens = await sessions.createSession(user, req);
+  
+  res.json({
+    ...tokens,
+    user: {
       _id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       karma: user.karma,
       createdAt: user.createdAt
-    });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+    }
+  });
+}));
+
+// Swap a refresh token for a new access and refresh token
+router.post('/refresh', validate({
+  body: { refreshToken: token }
+}), asyncHandler(async (req, res) => {
+  const tokens = await sessions.refresh(req.body.refreshToken, req);
+  
+  res.json(tokens);
+}));
+
+// Log out the session of the given refresh token, or of the access token
+router.post('/logout', optionalAuth, validate({
+  body: { refreshToken: v.string({ optional: true, max: 512 }) }
+}), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  
+  if (refreshToken) {
+    await sessions.revokeByRefreshToken(refreshToken);
+  } else if (req.user && req.sessionId) {
+    await sessions.revokeSession(req.user._id, req.sessionId, 'logout');
+  } else {
+    throw new BadRequestError('Refresh token is required');
   }
+  
+  res.json({ message: 'Logged out successfully' });
+}));
+
+// List the current user's active sessions
+router.get('/sessions', auth, asyncHandler(async (req, res) => {
+  const list = await sessions.listSessions(req.user._id, req.sessionId);
+  
+  res.json(list);
+}));
+
+// Revoke all sessions except the current one
+router.delete('/sessions', auth, asyncHandler(async (req, res) => {
+  const revoked = await sessions.revokeAll(req.user._id, { except: req.sessionId });
+  
+  res.json({ message: 'Other sessions revoked', revoked });
+}));
+
+// Revoke a session
+router.delete('/sessions/:id', auth, validate({
+  params: { id: v.objectId() }
+}), asyncHandler(async (req, res) => {
+  const revoked = await sessions.revokeSession(req.user._id, req.params.id);
+  
+  if (!revoked) {
+    throw new NotFoundError('Session not found');
+  }
+  
+  res.json({ message: 'Session revoked' });
+}));
+
+// Verify an email address with the token from the verification email
+router.post('/verify-email', validate({
+  body: { token }
+}), asyncHandler(async (req, res) => {
+  await accountEmails.verifyEmail(req.body.token);
+  
+  res.json({ message: 'Email verified successfully' });
+}));
+
+// Send another verification email
+router.post('/resend-verification', auth, rateLimit('verificationEmail'), asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    throw new BadRequestError('Email is already verified');
+  }
+  
+  await accountEmails.sendVerification(req.user);
+  
+  res.json({ message: 'Verification email sent' });
+}));
+
+// Email a password reset link
+router.post('/forgot-password', rateLimit('passwordReset'), validate({
+  body: { email: v.string({ min: 1, max: 254, lowercase: true }) }
+}), asyncHandler(async (req, res) => {
+  await accountEmails.requestPasswordReset(req.body.email);
+  
+  // Same answer whether or not the account exists
+  res.json({ message: 'If an account uses that email, a reset link is on its way' });
+}));
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', rateLimit('passwordReset'), validate({
+  body: { token, password }
+}), asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  
+  await accountEmails.resetPassword(token, password);
+  
+  res.json({ message: 'Password reset successfully, please log in' });
+}));
+
+// Get current user
+router.get('/me', auth, (req, res) => {
+  // User is already added to req by auth middleware
+  const user = req.user;
+  
+  res.json({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    karma: user.karma,
+    createdAt: user.createdAt
+  });
 });
 
 module.exports = router;
@@ -1,271 +1,489 @@
 
 const express = require('express');
-const mongoose = require('mongoose');
 const Comment = require('../models/Comment');
 const Post = require('../models/Post');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const automod = require('../services/automod');
+const bans = require('../services/bans');
+const bookmarks = require('../services/bookmarks');
+const communityAccess = require('../services/communityAccess');
+const commentTree = require('../services/commentTree');
+const deletion = require('../services/deletion');
+const flair = require('../services/flair');
+const moderation = require('../services/moderation');
+const notifications = require('../services/notifications');
+const reports = require('../services/reports');
+const revisions = require('../services/revisions');
+const visibility = require('../services/visibility');
+const voting = require('../services/voting');
+const ranking = require('../utils/ranking');
+const { paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
-// Get comments for a post
-router.get('/post/:postId', async (req, res) => {
-  try {
-    const { postId } = req.params;
-    
-    // Find top-level comments (no parentId)
-    const comments = await Comment.find({ post: postId, parentId: null })
-      .sort({ createdAt: -1 })
-      .populate('author', 'username')
-      .exec();
-    
-    // Function to recursively get replies
-    const populateReplies = async (comments) => {
-      for (let comment of comments) {
-        const replies = await Comment.find({ parentId: comment._id })
-          .sort({ createdAt: 1 })
-          .populate('author', 'username')
-          .exec();
-        
-        if (replies.length > 0) {
-          comment.replies = replies;
-          await populateReplies(replies);
-        }
-      }
-    };
-    
-    await populateReplies(comments);
-    
-    res.json(comments);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+const idParams = { id: v.objectId() };
+const content = v.string({ min: 1, max: 10000 });
+
+const treeQuery = {
+  sort: v.oneOf(Object.keys(ranking.COMMENT_SORTS), { default: 'best' }),
+  depth: v.int({ optional: true, min: 1, max: commentTree.MAX_DEPTH }),
+  ...v.page(commentTree.MAX_LIMIT)
+};
+
+// Get the comment tree for a post
+router.get('/post/:postId', optionalAuth, validate({
+  params: { postId: v.objectId() },
+  query: treeQuery
+}), asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.postId).select('community');
+  
+  if (!post) {
+    throw new NotFoundError('Post not found');
   }
-});
+  
+  const viewerId = req.user && req.user._id;
+  const community = await communityAccess.assertCanViewByName(post.community, viewerId);
+  
+  const tree = await commentTree.loadTree({
+    postId: post._id,
+    ...req.query,
+    viewer: { viewerId, moderator: moderation.isModerator(community, viewerId) }
+  });
+  
+  tree.items = await bookmarks.flagItems('comment', tree.items, viewerId);
+  
+  res.json(tree);
+}));
 
 // Get comments by a specific user
-router.get('/user/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    const { limit = 20, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Find user by username
-    const user = await mongoose.model('User').findOne({ username });
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const comments = await Comment.find({ author: user._id })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author', 'username')
-      .populate({
-        path: 'post',
-        select: 'title community',
-      })
-      .exec();
-    
-    res.json(comments);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.get('/user/:username', optionalAuth, validate({
+  params: { username: v.string({ min: 1, max: 50 }) },
+  query: v.page()
+}), asyncHandler(async (req, res) => {
+  // Find user by username
+  const user = await User.findOne({ username: req.params.username });
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-});
+  
+  // Authors can still see their own removed comments
+  const viewerId = req.user && req.user._id;
+  const ownProfile = viewerId && viewerId.equals(user._id);
+  const filter = ownProfile ? { author: user._id } : visibility.liveFilter({ author: user._id });
+  
+  const query = Comment.find(await communityAccess.excludePrivate(filter, viewerId))
+    .populate('author', 'username')
+    .populate({
+      path: 'post',
+      select: 'title community',
+    });
+  
+  const page = await paginate(query, { createdAt: -1, _id: -1 }, req.query);
+  
+  page.items = await bookmarks.flagItems('comment', page.items, viewerId);
+  
+  res.json(page);
+}));
+
+// Expand the replies of a comment, e.g. from a "more" stub
+router.get('/:id/children', optionalAuth, validate({
+  params: idParams,
+  query: treeQuery
+}), asyncHandler(async (req, res) => {
+  const parent = await Comment.findById(req.params.id);
+  
+  if (!parent) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  const viewerId = req.user && req.user._id;
+  const community = await moderation.getCommunityFor('comment', parent);
+  
+  if (community) communityAccess.assertCanView(community, viewerId);
+  
+  const tree = await commentTree.loadTree({
+    parent,
+    ...req.query,
+    viewer: { viewerId, moderator: moderation.isModerator(community, viewerId) }
+  });
+  
+  tree.items = await bookmarks.flagItems('comment', tree.items, viewerId);
+  
+  res.json({ parentId: parent._id, ...tree });
+}));
 
 // Create a new comment
-router.post('/', auth, async (req, res) => {
-  try {
-    const { postId, parentId, content } = req.body;
-    
-    // Check if post exists
-    const post = await Post.findById(postId);
+router.post('/', auth, rateLimit('comment'), validate({
+  body: {
+    postId: v.objectId(),
+    parentId: v.objectId({ optional: true, nullable: true }),
+    content
+  }
+}), asyncHandler(async (req, res) => {
+  const { postId, parentId, content } = req.body;
+  
+  // Check if post exists
+  const post = await Post.findById(postId);
+  
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  if (post.deleted) {
+    throw new BadRequestError('Cannot comment on a deleted post');
+  }
+  
+  await bans.assertNotBanned(post.community, req.user._id);
+  const community = await communityAccess.assertCanViewByName(post.community, req.user._id);
+  const isModerator = moderation.isModerator(community, req.user._id);
+  
+  if (post.locked && !isModerator) {
+    throw new ForbiddenError('This post is locked', { code: 'LOCKED' });
+  }
+  
+  // If this is a reply, check if parent comment exists
+  let parentComment = null;
+  
+  if (parentId) {
+    parentComment = await Comment.findById(parentId);
+    
+    if (!parentComment) {
+      throw new NotFoundError('Parent comment not found');
+    }
     
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
+    if (parentComment.post.toString() !== post._id.toString()) {
+      throw new BadRequestError('Parent comment belongs to a different post');
     }
     
-    // If this is a reply, check if parent comment exists
-    if (parentId) {
-      const parentComment = await Comment.findById(parentId);
-      
-      if (!parentComment) {
-        return res.status(404).json({ message: 'Parent comment not found' });
-      }
+    if (parentComment.deleted) {
+      throw new BadRequestError('Cannot reply to a deleted comment');
     }
     
-    const comment = new Comment({
-      content,
-      author: req.user._id,
-      post: postId,
-      parentId: parentId || null
+    if (parentComment.locked && !isModerator) {
+      throw new ForbiddenError('This comment is locked', { code: 'LOCKED' });
+    }
+  }
+  
+  const path = parentComment ? [...parentComment.path, parentComment._id] : [];
+  
+  const comment = new Comment({
+    content,
+    author: req.user._id,
+    authorFlair: await flair.getUserFlair(post.community, req.user._id),
+    post: post._id,
+    community: post.community,
+    parentId: parentComment ? parentComment._id : null,
+    path,
+    depth: path.length
+  });
+  
+  // Automod rules run before the comment goes live
+  const screened = await automod.screen({
+    type: 'comment',
+    target: comment,
+    author: req.user,
+    community,
+    post
+  });
+  
+  await comment.save();
+  
+  // Increment comment count on post and reply count on the parent
+  await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+  
+  if (parentComment) {
+    await Comment.updateOne({ _id: parentComment._id }, { $inc: { replyCount: 1 } });
+  }
+  
+  await automod.followUp(screened);
+  
+  if (!comment.removed) {
+    await notifications.notifyReply({ comment, post, parent: parentComment });
+    await notifications.notifyMentions({
+      texts: [comment.content],
+      actor: req.user,
+      community: post.community,
+      post,
+      comment,
+      exclude: [parentComment ? parentComment.author : post.author]
     });
-    
-    await comment.save();
-    
-    // Increment comment count on post
-    post.commentCount += 1;
-    await post.save();
-    
-    // Populate author information
-    await comment.populate('author', 'username');
-    
-    res.status(201).json(comment);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
   }
-});
+  
+  // Populate author information
+  await comment.populate('author', 'username');
+  
+  res.status(201).json(comment);
+}));
+
+// Edit history of a comment (author or moderators)
+router.get('/:id/revisions', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+  
+  if (!comment || comment.deleted) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  res.json(await revisions.getHistory({ type: 'comment', target: comment, userId: req.user._id }));
+}));
 
 // Update a comment
-router.put('/:id', auth, async (req, res) => {
-  try {
-    const { content } = req.body;
-    
-    // Find comment
-    const comment = await Comment.findById(req.params.id);
-    
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
-    
-    // Check if user is the author
-    if (comment.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to update this comment' });
-    }
-    
-    // Update comment
-    comment.content = content;
-    
-    await comment.save();
-    
-    // Populate author information
-    await comment.populate('author', 'username');
-    
-    res.json(comment);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.put('/:id', auth, validate({
+  params: idParams,
+  body: { content }
+}), asyncHandler(async (req, res) => {
+  // Find comment
+  const comment = await Comment.findById(req.params.id);
+  
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  if (comment.deleted) {
+    throw new BadRequestError('Cannot edit a deleted comment');
+  }
+  
+  // Check if user is the author
+  if (comment.author.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to update this comment');
   }
-});
+  
+  // Update comment, keeping the replaced version in its edit history
+  await revisions.applyEdit({
+    type: 'comment',
+    target: comment,
+    changes: { content: req.body.content }
+  });
+  
+  // Populate author information
+  await comment.populate('author', 'username');
+  
+  res.json(comment);
+}));
 
 // Delete a comment
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    // Find comment
-    const comment = await Comment.findById(req.params.id);
-    
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
-    
-    // Check if user is the author
-    if (comment.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this comment' });
-    }
-    
-    // Delete comment
-    await comment.remove();
-    
-    // Decrement comment count on post
-    const post = await Post.findById(comment.post);
-    
-    if (post) {
-      post.commentCount = Math.max(0, post.commentCount - 1);
-      await post.save();
-    }
-    
-    res.json({ message: 'Comment deleted successfully' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.delete('/:id', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  // Find comment
+  const comment = await Comment.findById(req.params.id);
+  
+  if (!comment || comment.deleted) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  // Check if user is the author
+  if (comment.author.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to delete this comment');
+  }
+  
+  // Soft delete; replies stay attached and the comment shows as deleted
+  await deletion.deleteComment(comment);
+  
+  res.json({ message: 'Comment deleted successfully' });
+}));
+
+// Load a live comment and its community for a moderator action
+const loadForModerator = async (req, verb) => {
+  const comment = await Comment.findById(req.params.id);
+  
+  if (!comment || comment.deleted) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  const community = await moderation.getCommunityFor('comment', comment);
+  
+  if (!moderation.isModerator(community, req.user._id)) {
+    throw new ForbiddenError(`Only moderators can ${verb} comments`);
+  }
+  
+  return { comment, community };
+};
+
+// Remove a comment (moderators only)
+router.post('/:id/remove', auth, validate({
+  params: idParams,
+  body: {
+    reason: v.string({ optional: true, max: 1000 }),
+    reasonId: v.objectId({ optional: true })
+  }
+}), asyncHandler(async (req, res) => {
+  const { comment, community } = await loadForModerator(req, 'remove');
+  
+  const updated = await moderation.removeContent({
+    type: 'comment',
+    target: comment,
+    community,
+    moderator: req.user,
+    ...req.body
+  });
+  
+  res.json(updated);
+}));
+
+// Approve a comment (moderators only)
+router.post('/:id/approve', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const { comment, community } = await loadForModerator(req, 'approve');
+  
+  const updated = await moderation.approveContent({
+    type: 'comment',
+    target: comment,
+    community,
+    moderator: req.user
+  });
+  
+  res.json(updated);
+}));
+
+// Lock a comment against new replies (moderators only)
+router.post('/:id/lock', auth, validate({
+  params: idParams,
+  body: { reason: v.string({ optional: true, max: 1000 }) }
+}), asyncHandler(async (req, res) => {
+  const { comment, community } = await loadForModerator(req, 'lock');
+  
+  const updated = await moderation.setLocked({
+    type: 'comment',
+    target: comment,
+    community,
+    moderator: req.user,
+    locked: true,
+    reason: req.body.reason
+  });
+  
+  res.json(updated);
+}));
+
+// Unlock a comment (moderators only)
+router.post('/:id/unlock', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const { comment, community } = await loadForModerator(req, 'unlock');
+  
+  const updated = await moderation.setLocked({
+    type: 'comment',
+    target: comment,
+    community,
+    moderator: req.user,
+    locked: false
+  });
+  
+  res.json(updated);
+}));
+
+// Report a comment
+router.post('/:id/report', auth, validate({
+  params: idParams,
+  body: {
+    ruleId: v.objectId({ optional: true }),
+    reason: v.string({ optional: true, max: 100 })
+  }
+}), asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+  
+  if (!comment || comment.deleted) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  const community = await moderation.getCommunityFor('comment', comment);
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  communityAccess.assertCanView(community, req.user._id);
+  
+  await reports.fileReport({
+    type: 'comment',
+    target: comment,
+    community,
+    reporter: req.user,
+    ...req.body
+  });
+  
+  res.status(201).json({ message: 'Report submitted successfully' });
+}));
+
+// Save a comment
+router.post('/:id/save', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id).select('community post deleted');
+  
+  if (!comment || comment.deleted) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  const community = await moderation.getCommunityFor('comment', comment);
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  communityAccess.assertCanView(community, req.user._id);
+  
+  await bookmarks.add('saved', 'comment', comment._id, req.user._id);
+  
+  res.json({ message: 'Comment saved', saved: true });
+}));
+
+// Unsave a comment
+router.post('/:id/unsave', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  await bookmarks.remove('saved', 'comment', req.params.id, req.user._id);
+  
+  res.json({ message: 'Comment unsaved', saved: false });
+}));
+
+// Hide a comment
+router.post('/:id/hide', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const comment = await Comment.findById(req.params.id).select('community post');
+  
+  if (!comment) {
+    throw new NotFoundError('Comment not found');
+  }
+  
+  const community = await moderation.getCommunityFor('comment', comment);
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
   }
-});
+  
+  communityAccess.assertCanView(community, req.user._id);
+  
+  await bookmarks.add('hidden', 'comment', comment._id, req.user._id);
+  
+  res.json({ message: 'Comment hidden', hidden: true });
+}));
+
+// Unhide a comment
+router.post('/:id/unhide', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  await bookmarks.remove('hidden', 'comment', req.params.id, req.user._id);
+  
+  res.json({ message: 'Comment unhidden', hidden: false });
+}));
 
 // Vote on a comment
-router.post('/:id/vote', auth, async (req, res) => {
-  try {
-    const { vote } = req.body;
-    const commentId = req.params.id;
-    const userId = req.user._id;
-    
-    // Validate vote value (-1, 0, 1)
-    if (![1, 0, -1].includes(vote)) {
-      return res.status(400).json({ message: 'Invalid vote value' });
-    }
-    
-    const comment = await Comment.findById(commentId);
-    
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
-    
-    // Check if user has already voted
-    const existingVoteIndex = comment.voters.findIndex(
-      v => v.user.toString() === userId.toString()
-    );
-    
-    // Update the comment's vote count
-    if (existingVoteIndex !== -1) {
-      const existingVote = comment.voters[existingVoteIndex].vote;
-      
-      // Remove existing vote
-      if (existingVote === 1) {
-        comment.upvotes -= 1;
-      } else if (existingVote === -1) {
-        comment.downvotes -= 1;
-      }
-      
-      if (vote === 0) {
-        // Remove vote entirely
-        comment.voters.splice(existingVoteIndex, 1);
-      } else {
-        // Update vote
-        comment.voters[existingVoteIndex].vote = vote;
-        
-        // Add new vote
-        if (vote === 1) {
-          comment.upvotes += 1;
-        } else if (vote === -1) {
-          comment.downvotes += 1;
-        }
-      }
-    } else if (vote !== 0) {
-      // Add new vote
-      comment.voters.push({ user: userId, vote });
-      
-      if (vote === 1) {
-        comment.upvotes += 1;
-      } else if (vote === -1) {
-        comment.downvotes += 1;
-      }
-    }
-    
-    await comment.save();
-    
-    // Update user karma
-    const user = await mongoose.model('User').findById(comment.author);
-    
-    if (user) {
-      // Add comment karma to user's total karma
-      const commentKarma = await Comment.aggregate([
-        { $match: { author: user._id } },
-        { $group: { _id: null, karma: { $sum: { $subtract: ['$upvotes', '$downvotes'] } } } }
-      ]).then(result => (result[0]?.karma || 0));
-      
-      const postKarma = await Post.aggregate([
-        { $match: { author: user._id } },
-        { $group: { _id: null, karma: { $sum: { $subtract: ['$upvotes', '$downvotes'] } } } }
-      ]).then(result => (result[0]?.karma || 0));
-      
-      user.karma = postKarma + commentKarma;
-      await user.save();
-    }
-    
-    res.json({
-      message: 'Vote recorded successfully',
-      upvotes: comment.upvotes,
-      downvotes: comment.downvotes
-    });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.post('/:id/vote', auth, rateLimit('vote'), validate({
+  params: idParams,
+  body: { vote: v.oneOf([1, 0, -1]) }
+}), asyncHandler(async (req, res) => {
+  const { vote } = req.body;
+  
+  const result = await voting.castVote('comment', req.params.id, req.user, vote);
+  
+  if (!result) {
+    throw new NotFoundError('Comment not found');
   }
-});
+  
+  const { target: comment } = result;
+  
+  res.json({
+    message: 'Vote recorded successfully',
+    upvotes: comment.upvotes,
+    downvotes: comment.downvotes,
+    vote
+  });
+}));
 
 module.exports = router;
@@ -2,275 +2,1169 @@
 const express = require('express');
 const Community = require('../models/Community');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const ModAction = require('../models/ModAction');
+const Ban = require('../models/Ban');
+const Mute = require('../models/Mute');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const requireVerified = require('../middleware/requireVerified');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const automod = require('../services/automod');
+const bans = require('../services/bans');
+const communityAccess = require('../services/communityAccess');
+const flair = require('../services/flair');
+const membership = require('../services/membership');
+const messaging = require('../services/messaging');
+const moderation = require('../services/moderation');
+const mutes = require('../services/mutes');
+const reports = require('../services/reports');
+const { paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
-// Get all communities
-router.get('/', async (req, res) => {
-  try {
-    const communities = await Community.find()
-      .sort({ memberCount: -1 })
-      .populate('creator', 'username')
-      .exec();
-    
-    res.json(communities);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+const name = v.string({ min: 1, max: 50 });
+const nameParams = { name };
+
+const flairFields = {
+  text: v.string({ min: 1, max: 64 }),
+  textColor: v.oneOf(['dark', 'light'], { optional: true }),
+  backgroundColor: v.string({
+    optional: true,
+    nullable: true,
+    pattern: /^#[0-9a-fA-F]{6}$/,
+    patternMessage: 'must be a hex color like #ff4500'
+  }),
+  modOnly: v.boolean({ optional: true })
+};
+
+// Look up the community named in the route
+const loadCommunity = async (communityName) => {
+  const community = await Community.findOne({ name: communityName });
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
   }
-});
+  
+  return community;
+};
 
-// Get popular communities
-router.get('/popular', async (req, res) => {
-  try {
-    const { limit = 5 } = req.query;
-    
-    const communities = await Community.find()
-      .sort({ memberCount: -1 })
-      .limit(parseInt(limit))
-      .exec();
-    
-    res.json(communities);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// Look up the community named in the route and check that the user
+// moderates it; `action` finishes the sentence "Only moderators can ..."
+const loadAsModerator = async (req, action) => {
+  const community = await loadCommunity(req.params.name);
+  
+  if (!moderation.isModerator(community, req.user._id)) {
+    throw new ForbiddenError(`Only moderators can ${action}`);
   }
-});
+  
+  return community;
+};
+
+const communityType = v.oneOf(communityAccess.TYPES, { optional: true });
+
+const findUser = async (filter, select) => {
+  const user = await User.findOne(filter).select(select);
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  
+  return user;
+};
+
+// Get all communities
+router.get('/', validate({ query: v.page() }), asyncHandler(async (req, res) => {
+  const query = Community.find()
+    .select('-members -approvedSubmitters')
+    .populate('creator', 'username');
+  
+  const page = await paginate(query, { memberCount: -1, _id: -1 }, req.query);
+  
+  res.json(page);
+}));
+
+// Get popular communities
+router.get('/popular', validate({
+  query: { ...v.page(), limit: v.int({ default: 5, min: 1, max: 100 }) }
+}), asyncHandler(async (req, res) => {
+  const query = Community.find().select('-members -approvedSubmitters');
+  
+  const page = await paginate(query, { memberCount: -1, _id: -1 }, req.query);
+  
+  res.json(page);
+}));
 
 // Get a single community by name
-router.get('/:name', async (req, res) => {
-  try {
-    const community = await Community.findOne({ name: req.params.name })
-      .populate('creator', 'username')
-      .populate('moderators', 'username')
-      .exec();
-    
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    // Check if the authenticated user is a member
-    if (req.headers.authorization) {
-      try {
-        const token = req.headers.authorization.split(' ')[1];
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const userId = decoded.id;
-        
-        community.isJoined = community.members.some(member => member.toString() === userId);
-      } catch (err) {
-        // Ignore token errors here, just don't add the isJoined property
-      }
-    }
-    
-    res.json(community);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.get('/:name', optionalAuth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await Community.findOne({ name: req.params.name })
+    .populate('creator', 'username')
+    .populate('moderators', 'username')
+    .exec();
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
   }
-});
+  
+  const viewerId = req.user && req.user._id;
+  
+  communityAccess.assertCanView(community, viewerId);
+  
+  const result = community.toJSON();
+  
+  // Check if the authenticated user is a member and may post
+  if (req.user) {
+    result.isJoined = communityAccess.isMember(community, viewerId);
+    result.canPost = communityAccess.canPost(community, viewerId);
+  }
+  
+  // Saved removal reasons and approved submitters are moderator tools
+  if (!moderation.isModerator(community, viewerId)) {
+    delete result.removalReasons;
+    delete result.approvedSubmitters;
+  }
+  
+  res.json(result);
+}));
 
 // Create a new community
-router.post('/', auth, async (req, res) => {
-  try {
-    const { name, description } = req.body;
-    
-    // Check if community already exists
-    const existingCommunity = await Community.findOne({ name });
-    
-    if (existingCommunity) {
-      return res.status(400).json({ message: 'Community already exists' });
-    }
-    
-    const community = new Community({
-      name,
-      description,
-      creator: req.user._id,
-      moderators: [req.user._id],
-      members: [req.user._id],
-      memberCount: 1
-    });
-    
-    await community.save();
-    
-    // Populate creator information
-    await community.populate('creator', 'username');
-    
-    res.status(201).json(community);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.post('/', auth, requireVerified, rateLimit('community'), validate({
+  body: {
+    name: v.string({
+      min: 1,
+      max: 50,
+      lowercase: true,
+      pattern: /^[a-z0-9_]+$/,
+      patternMessage: 'can only contain letters, numbers and underscores'
+    }),
+    description: v.string({ optional: true, max: 500 }),
+    type: communityType
   }
-});
+}), asyncHandler(async (req, res) => {
+  const { name, description, type } = req.body;
+  
+  // Check if community already exists
+  const existingCommunity = await Community.findOne({ name });
+  
+  if (existingCommunity) {
+    throw new ConflictError('Community already exists');
+  }
+  
+  const community = new Community({
+    name,
+    description,
+    type,
+    creator: req.user._id,
+    moderators: [req.user._id],
+    members: [req.user._id],
+    memberCount: 1
+  });
+  
+  await community.save();
+  
+  await User.updateOne({ _id: req.user._id }, { $addToSet: { communities: community._id } });
+  
+  // Populate creator information
+  await community.populate('creator', 'username');
+  
+  res.status(201).json(community);
+}));
 
 // Update a community
-router.put('/:name', auth, async (req, res) => {
-  try {
-    const { description, rules } = req.body;
-    
-    // Find community
-    const community = await Community.findOne({ name: req.params.name });
-    
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    // Check if user is a moderator
-    if (!community.moderators.includes(req.user._id)) {
-      return res.status(403).json({ message: 'Not authorized to update this community' });
-    }
-    
-    // Update community
-    if (description !== undefined) community.description = description;
-    if (rules !== undefined) community.rules = rules;
-    
-    await community.save();
+router.put('/:name', auth, validate({
+  params: nameParams,
+  body: {
+    description: v.string({ optional: true, max: 500 }),
+    rules: v.array(v.object({
+      _id: v.objectId({ optional: true }),
+      title: v.string({ min: 1, max: 100 }),
+      description: v.string({ optional: true, max: 500 })
+    }), { optional: true, max: 15 }),
+    reportThreshold: v.int({ optional: true, nullable: true, min: 1 }),
+    type: communityType
+  }
+}), asyncHandler(async (req, res) => {
+  const { description, rules, reportThreshold, type } = req.body;
+  
+  // Find community
+  const community = await loadCommunity(req.params.name);
+  
+  // Check if user is a moderator
+  if (!moderation.isModerator(community, req.user._id)) {
+    throw new ForbiddenError('Not authorized to update this community');
+  }
+  
+  // Update community
+  if (description !== undefined) community.description = description;
+  if (rules !== undefined) community.rules = rules;
+  if (reportThreshold !== undefined) community.reportThreshold = reportThreshold || undefined;
+  if (type !== undefined) community.type = type;
+  
+  const changed = {
+    description: community.isModified('description'),
+    rules: community.isModified('rules'),
+    reportThreshold: community.isModified('reportThreshold'),
+    type: community.isModified('type')
+  };
+  
+  await community.save();
+  
+  if (changed.description) {
+    await moderation.logAction({
+      community,
+      moderator: req.user,
+      action: 'editDescription'
+    });
+  }
+  
+  if (changed.rules) {
+    await moderation.logAction({
+      community,
+      moderator: req.user,
+      action: 'editRules',
+      details: { rules: community.rules.map(rule => rule.title) }
+    });
+  }
+  
+  if (changed.reportThreshold || changed.type) {
+    const details = {};
     
-    // Populate creator and moderators information
-    await community.populate('creator', 'username');
-    await community.populate('moderators', 'username');
+    if (changed.reportThreshold) details.reportThreshold = community.reportThreshold;
+    if (changed.type) details.type = community.type;
     
-    res.json(community);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+    await moderation.logAction({
+      community,
+      moderator: req.user,
+      action: 'editSettings',
+      details
+    });
   }
-});
+  
+  // Populate creator and moderators information
+  await community.populate('creator', 'username');
+  await community.populate('moderators', 'username');
+  
+  res.json(community);
+}));
 
-// Join a community
-router.post('/:name/join', auth, async (req, res) => {
-  try {
-    const community = await Community.findOne({ name: req.params.name });
-    
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    // Check if user is already a member
-    if (community.members.includes(req.user._id)) {
-      return res.status(400).json({ message: 'Already a member of this community' });
-    }
-    
-    // Add user to members
-    community.members.push(req.user._id);
-    community.memberCount += 1;
-    
-    await community.save();
-    
-    res.json({ message: 'Successfully joined community' });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+// Join a community; private communities need an invite, which this accepts
+router.post('/:name/join', auth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await loadCommunity(req.params.name);
+  
+  await bans.assertNotBanned(community.name, req.user._id);
+  
+  const joined = await communityAccess.join(community, req.user._id);
+  
+  if (!joined) {
+    throw new BadRequestError('Already a member of this community');
   }
-});
+  
+  res.json({ message: 'Successfully joined community' });
+}));
 
 // Leave a community
-router.post('/:name/leave', auth, async (req, res) => {
-  try {
-    const community = await Community.findOne({ name: req.params.name });
-    
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    // Check if user is a member
-    if (!community.members.includes(req.user._id)) {
-      return res.status(400).json({ message: 'Not a member of this community' });
-    }
-    
-    // Remove user from members
-    community.members = community.members.filter(
-      member => member.toString() !== req.user._id.toString()
-    );
-    community.memberCount = Math.max(0, community.memberCount - 1);
-    
-    await community.save();
-    
-    res.json({ message: 'Successfully left community' });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.post('/:name/leave', auth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await loadCommunity(req.params.name);
+  
+  const left = await membership.leave(community, req.user._id);
+  
+  if (!left) {
+    throw new BadRequestError('Not a member of this community');
   }
-});
+  
+  res.json({ message: 'Successfully left community' });
+}));
+
+// Ask to join a private community
+router.post('/:name/join-requests', auth, validate({
+  params: nameParams,
+  body: { message: v.string({ optional: true, max: 500 }) }
+}), asyncHandler(async (req, res) => {
+  const community = await loadCommunity(req.params.name);
+  
+  await bans.assertNotBanned(community.name, req.user._id);
+  
+  const request = await communityAccess.requestToJoin(community, req.user._id, req.body.message);
+  
+  res.status(201).json(request);
+}));
+
+// Get join requests (moderators only); pending ones unless `status` says otherwise
+router.get('/:name/join-requests', auth, validate({
+  params: nameParams,
+  query: {
+    status: v.oneOf(['pending', 'approved', 'denied'], { default: 'pending' }),
+    ...v.page()
+  }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view join requests');
+  
+  const page = await communityAccess.getJoinRequests(community, req.query);
+  
+  res.json(page);
+}));
+
+// Approve or deny a join request (moderators only)
+router.post('/:name/join-requests/:requestId/:decision', auth, validate({
+  params: {
+    name,
+    requestId: v.objectId(),
+    decision: v.oneOf(['approve', 'deny'])
+  }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'review join requests');
+  
+  const request = await communityAccess.reviewJoinRequest({
+    community,
+    requestId: req.params.requestId,
+    moderator: req.user,
+    approve: req.params.decision === 'approve'
+  });
+  
+  res.json(request);
+}));
+
+// Get the invites the community has sent (moderators only)
+router.get('/:name/invites', auth, validate({
+  params: nameParams,
+  query: v.page()
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view invites');
+  
+  const page = await communityAccess.getInvites(community, req.query);
+  
+  res.json(page);
+}));
+
+// Invite a user to a private community (moderators only)
+router.post('/:name/invites', auth, validate({
+  params: nameParams,
+  body: { username: v.string({ min: 1, max: 50 }) }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'invite users');
+  
+  const user = await findUser({ username: req.body.username }, '_id username');
+  
+  await bans.assertNotBanned(community.name, user._id);
+  
+  const invite = await communityAccess.invite({ community, user, moderator: req.user });
+  
+  res.status(201).json(invite);
+}));
+
+// Accept an invite and join the community
+router.post('/:name/invites/accept', auth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await loadCommunity(req.params.name);
+  
+  if (!await communityAccess.acceptInvite(community, req.user._id)) {
+    throw new NotFoundError('Invite not found');
+  }
+  
+  res.json({ message: 'Successfully joined community' });
+}));
+
+// Decline an invite
+router.post('/:name/invites/decline', auth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await loadCommunity(req.params.name);
+  
+  if (!await communityAccess.declineInvite(community, req.user._id)) {
+    throw new NotFoundError('Invite not found');
+  }
+  
+  res.json({ message: 'Invite declined' });
+}));
+
+// Withdraw an invite (moderators only)
+router.delete('/:name/invites/:userId', auth, validate({
+  params: { name, userId: v.objectId() }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage invites');
+  
+  await communityAccess.revokeInvite({ community, userId: req.params.userId, moderator: req.user });
+  
+  res.json({ message: 'Invite withdrawn' });
+}));
+
+// Get the approved submitters (moderators only)
+router.get('/:name/approved-submitters', auth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view approved submitters');
+  
+  res.json(await communityAccess.getApprovedSubmitters(community));
+}));
+
+// Let a user post in a restricted community (moderators only)
+router.post('/:name/approved-submitters', auth, validate({
+  params: nameParams,
+  body: { username: v.string({ min: 1, max: 50 }) }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage approved submitters');
+  
+  const user = await findUser({ username: req.body.username }, '_id username');
+  
+  await communityAccess.addApprovedSubmitter({ community, user, moderator: req.user });
+  
+  res.status(201).json({ message: 'User approved to post', user });
+}));
+
+// Take away a user's approval to post (moderators only)
+router.delete('/:name/approved-submitters/:username', auth, validate({
+  params: { name, username: v.string({ min: 1, max: 50 }) }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage approved submitters');
+  
+  const user = await findUser({ username: req.params.username }, '_id username');
+  
+  await communityAccess.removeApprovedSubmitter({ community, user, moderator: req.user });
+  
+  res.json({ message: 'User no longer approved to post' });
+}));
 
 // Add a moderator
-router.post('/:name/moderators', auth, async (req, res) => {
-  try {
-    const { userId } = req.body;
-    
-    // Find community
-    const community = await Community.findOne({ name: req.params.name });
-    
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    // Check if user is the creator
-    if (community.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only the community creator can add moderators' });
-    }
-    
-    // Check if user to be added exists
-    const user = await mongoose.model('User').findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    // Check if user is already a moderator
-    if (community.moderators.includes(userId)) {
-      return res.status(400).json({ message: 'User is already a moderator' });
-    }
-    
-    // Add user to moderators
-    community.moderators.push(userId);
-    
-    // Make sure user is also a member
-    if (!community.members.includes(userId)) {
-      community.members.push(userId);
-      community.memberCount += 1;
-    }
-    
-    await community.save();
-    
-    // Populate moderators information
-    await community.populate('moderators', 'username');
-    
-    res.json(community);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.post('/:name/moderators', auth, validate({
+  params: nameParams,
+  body: { userId: v.objectId() }
+}), asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+  
+  // Find community
+  const community = await loadCommunity(req.params.name);
+  
+  // Check if user is the creator
+  if (community.creator.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Only the community creator can add moderators');
   }
-});
+  
+  // Check if user to be added exists
+  const user = await User.findById(userId);
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  
+  // Check if user is already a moderator
+  if (moderation.isModerator(community, user._id)) {
+    throw new ConflictError('User is already a moderator');
+  }
+  
+  // Add user to moderators
+  community.moderators.push(user._id);
+  
+  await community.save();
+  
+  // Make sure user is also a member
+  await membership.join(community, user._id);
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'addModerator',
+    targetUser: user
+  });
+  
+  // Reload for the new member list, with moderators information
+  const updated = await Community.findById(community._id).populate('moderators', 'username');
+  
+  res.json(updated);
+}));
 
 // Remove a moderator
-router.delete('/:name/moderators/:userId', auth, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    // Find community
-    const community = await Community.findOne({ name: req.params.name });
-    
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    // Check if user is the creator
-    if (community.creator.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only the community creator can remove moderators' });
-    }
-    
-    // Check if user to be removed is not the creator
-    if (community.creator.toString() === userId) {
-      return res.status(400).json({ message: 'Cannot remove the community creator from moderators' });
-    }
-    
-    // Remove user from moderators
-    community.moderators = community.moderators.filter(
-      mod => mod.toString() !== userId
-    );
-    
-    await community.save();
-    
-    // Populate moderators information
-    await community.populate('moderators', 'username');
-    
-    res.json(community);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.delete('/:name/moderators/:userId', auth, validate({
+  params: { name, userId: v.objectId() }
+}), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  
+  // Find community
+  const community = await loadCommunity(req.params.name);
+  
+  // Check if user is the creator
+  if (community.creator.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Only the community creator can remove moderators');
+  }
+  
+  // Check if user to be removed is not the creator
+  if (community.creator.toString() === userId) {
+    throw new BadRequestError('Cannot remove the community creator from moderators');
+  }
+  
+  if (!moderation.isModerator(community, userId)) {
+    throw new BadRequestError('User is not a moderator');
   }
+  
+  // Remove user from moderators
+  community.moderators = community.moderators.filter(
+    mod => mod.toString() !== userId
+  );
+  
+  await community.save();
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'removeModerator',
+    targetUser: userId
+  });
+  
+  // Populate moderators information
+  await community.populate('moderators', 'username');
+  
+  res.json(community);
+}));
+
+const reasonParams = { name, reasonId: v.objectId() };
+
+// Get the saved removal reasons (moderators only)
+router.get('/:name/removal-reasons', auth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view removal reasons');
+  
+  res.json(community.removalReasons);
+}));
+
+// Add a saved removal reason
+router.post('/:name/removal-reasons', auth, validate({
+  params: nameParams,
+  body: {
+    title: v.string({ min: 1, max: 100 }),
+    message: v.string({ optional: true, max: 1000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { title, message } = req.body;
+  
+  const community = await loadAsModerator(req, 'manage removal reasons');
+  
+  community.removalReasons.push({ title, message });
+  const reason = community.removalReasons[community.removalReasons.length - 1];
+  
+  await community.save();
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'addRemovalReason',
+    details: { reasonId: reason._id, title: reason.title }
+  });
+  
+  res.status(201).json(reason);
+}));
+
+// Update a saved removal reason
+router.put('/:name/removal-reasons/:reasonId', auth, validate({
+  params: reasonParams,
+  body: {
+    title: v.string({ optional: true, min: 1, max: 100 }),
+    message: v.string({ optional: true, max: 1000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { title, message } = req.body;
+  
+  const community = await loadAsModerator(req, 'manage removal reasons');
+  
+  const reason = community.removalReasons.id(req.params.reasonId);
+  
+  if (!reason) {
+    throw new NotFoundError('Removal reason not found');
+  }
+  
+  if (title !== undefined) reason.title = title;
+  if (message !== undefined) reason.message = message;
+  
+  await community.save();
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'editRemovalReason',
+    details: { reasonId: reason._id, title: reason.title }
+  });
+  
+  res.json(reason);
+}));
+
+// Delete a saved removal reason
+router.delete('/:name/removal-reasons/:reasonId', auth, validate({
+  params: reasonParams
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage removal reasons');
+  
+  const reason = community.removalReasons.id(req.params.reasonId);
+  
+  if (!reason) {
+    throw new NotFoundError('Removal reason not found');
+  }
+  
+  reason.deleteOne();
+  await community.save();
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'deleteRemovalReason',
+    details: { reasonId: reason._id, title: reason.title }
+  });
+  
+  res.json({ message: 'Removal reason deleted successfully' });
+}));
+
+const ruleParams = { name, ruleId: v.objectId() };
+
+// The fields of an automod rule; `optional` for partial updates
+const ruleBody = (optional) => ({
+  name: v.string({ optional, min: 1, max: 100 }),
+  enabled: v.boolean({ optional: true }),
+  appliesTo: v.oneOf(['post', 'comment', 'all'], { optional: true }),
+  conditions: v.object({
+    matches: v.array(v.object({
+      field: v.oneOf(['title', 'body', 'domain']),
+      keywords: v.array(v.string({ min: 1, max: 100 }), { optional: true, max: 200 }),
+      regex: v.string({ optional: true, min: 1, max: 500 })
+    }), { optional: true, max: 20 }),
+    author: v.object({
+      accountAgeLessThanDays: v.number({ optional: true, min: 0 }),
+      karmaLessThan: v.int({ optional: true })
+    }, { optional: true }),
+    postFlair: v.object({
+      missing: v.boolean({ optional: true }),
+      anyOf: v.array(v.string({ min: 1, max: 64 }), { optional: true, max: 50 })
+    }, { optional: true })
+  }, { optional }),
+  actions: v.object({
+    remove: v.boolean({ optional: true }),
+    filter: v.boolean({ optional: true }),
+    lock: v.boolean({ optional: true }),
+    flairId: v.objectId({ optional: true }),
+    reply: v.string({ optional: true, min: 1, max: 10000 })
+  }, { optional }),
+  reason: v.string({ optional: true, max: 300 })
 });
 
+// List the community's automod rules, in the order they run (moderators only)
+router.get('/:name/automod', auth, validate({ params: nameParams }), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view automod rules');
+  
+  res.json(await automod.getRules(community));
+}));
+
+// Add an automod rule
+router.post('/:name/automod', auth, validate({
+  params: nameParams,
+  body: ruleBody(false)
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage automod rules');
+  
+  const rule = await automod.createRule({
+    community,
+    moderator: req.user,
+    fields: req.body
+  });
+  
+  res.status(201).json(rule);
+}));
+
+router.get('/:name/automod/:ruleId', auth, validate({ params: ruleParams }), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view automod rules');
+  
+  res.json(await automod.getRule(community, req.params.ruleId));
+}));
+
+// Update an automod rule
+router.put('/:name/automod/:ruleId', auth, validate({
+  params: ruleParams,
+  body: ruleBody(true)
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage automod rules');
+  
+  const rule = await automod.updateRule({
+    community,
+    moderator: req.user,
+    ruleId: req.params.ruleId,
+    fields: req.body
+  });
+  
+  res.json(rule);
+}));
+
+// Delete an automod rule
+router.delete('/:name/automod/:ruleId', auth, validate({ params: ruleParams }), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage automod rules');
+  
+  await automod.deleteRule({
+    community,
+    moderator: req.user,
+    ruleId: req.params.ruleId
+  });
+  
+  res.json({ message: 'Automod rule deleted successfully' });
+}));
+
+const flairParams = { name, flairId: v.objectId() };
+
+// Get the flair templates; `type` filters to post or user flair
+router.get('/:name/flair', optionalAuth, validate({
+  params: nameParams,
+  query: { type: v.oneOf(['post', 'user'], { optional: true }) }
+}), asyncHandler(async (req, res) => {
+  const { type } = req.query;
+  
+  const community = await communityAccess.assertCanViewByName(req.params.name, req.user && req.user._id);
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  const templates = type
+    ? community.flairTemplates.filter(template => template.type === type)
+    : community.flairTemplates;
+  
+  res.json(templates);
+}));
+
+// Add a flair template (moderators only)
+router.post('/:name/flair', auth, validate({
+  params: nameParams,
+  body: {
+    type: v.oneOf(['post', 'user'], { optional: true }),
+    ...flairFields
+  }
+}), asyncHandler(async (req, res) => {
+  const { type, text, textColor, backgroundColor, modOnly } = req.body;
+  
+  const community = await loadAsModerator(req, 'manage flair');
+  
+  community.flairTemplates.push({
+    type,
+    text,
+    textColor,
+    backgroundColor: backgroundColor || undefined,
+    modOnly
+  });
+  const template = community.flairTemplates[community.flairTemplates.length - 1];
+  
+  await community.save();
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'addFlair',
+    details: { flairId: template._id, type: template.type, text: template.text }
+  });
+  
+  res.status(201).json(template);
+}));
+
+// Update a flair template; content already flaired keeps its copy
+router.put('/:name/flair/:flairId', auth, validate({
+  params: flairParams,
+  body: { ...flairFields, text: v.string({ optional: true, min: 1, max: 64 }) }
+}), asyncHandler(async (req, res) => {
+  const { text, textColor, backgroundColor, modOnly } = req.body;
+  
+  const community = await loadAsModerator(req, 'manage flair');
+  
+  const template = community.flairTemplates.id(req.params.flairId);
+  
+  if (!template) {
+    throw new NotFoundError('Flair not found');
+  }
+  
+  if (text !== undefined) template.text = text;
+  if (textColor !== undefined) template.textColor = textColor;
+  if (backgroundColor !== undefined) template.backgroundColor = backgroundColor || undefined;
+  if (modOnly !== undefined) template.modOnly = modOnly;
+  
+  await community.save();
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'editFlair',
+    details: { flairId: template._id, type: template.type, text: template.text }
+  });
+  
+  res.json(template);
+}));
+
+// Delete a flair template
+router.delete('/:name/flair/:flairId', auth, validate({ params: flairParams }), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'manage flair');
+  
+  const template = community.flairTemplates.id(req.params.flairId);
+  
+  if (!template) {
+    throw new NotFoundError('Flair not found');
+  }
+  
+  template.deleteOne();
+  await community.save();
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'deleteFlair',
+    details: { flairId: template._id, type: template.type, text: template.text }
+  });
+  
+  res.json({ message: 'Flair deleted successfully' });
+}));
+
+const userFlairParams = { name, username: v.string({ min: 1, max: 50 }) };
+
+// Get a user's flair in the community
+router.get('/:name/user-flair/:username', optionalAuth, validate({
+  params: userFlairParams
+}), asyncHandler(async (req, res) => {
+  const community = await communityAccess.assertCanViewByName(req.params.name, req.user && req.user._id);
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  const user = await findUser({ username: req.params.username }, '_id');
+  
+  res.json({ flair: await flair.getUserFlair(req.params.name, user._id) });
+}));
+
+// Set a user's flair; users can set their own, moderators anyone's
+router.put('/:name/user-flair/:username', auth, validate({
+  params: userFlairParams,
+  body: {
+    flairId: v.objectId({ optional: true }),
+    text: v.string({ optional: true, min: 1, max: 64 }),
+    textColor: flairFields.textColor,
+    backgroundColor: flairFields.backgroundColor
+  }
+}), asyncHandler(async (req, res) => {
+  const { flairId, text, textColor, backgroundColor } = req.body;
+  
+  const community = await loadCommunity(req.params.name);
+  
+  const user = await findUser({ username: req.params.username }, '_id username');
+  
+  if (!flairId && !text) {
+    throw new BadRequestError('A flair template or flair text is required');
+  }
+  
+  const userFlair = await flair.setUserFlair({
+    community,
+    target: user,
+    actor: req.user,
+    flairId,
+    text,
+    textColor,
+    backgroundColor: backgroundColor || undefined
+  });
+  
+  res.json(userFlair);
+}));
+
+// Clear a user's flair
+router.delete('/:name/user-flair/:username', auth, validate({
+  params: userFlairParams
+}), asyncHandler(async (req, res) => {
+  const community = await loadCommunity(req.params.name);
+  
+  const user = await findUser({ username: req.params.username }, '_id username');
+  
+  await flair.setUserFlair({ community, target: user, actor: req.user });
+  
+  res.json({ message: 'Flair cleared successfully' });
+}));
+
+// Get the community's modmail (moderators only)
+router.get('/:name/modmail', auth, validate({
+  params: nameParams,
+  query: v.page()
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'read modmail');
+  
+  const page = await messaging.getModmail(community, req.user._id, req.query);
+  
+  res.json(page);
+}));
+
+// Send modmail. Moderators write to a user (`to`) as the community; anyone
+// else writes to the moderators.
+router.post('/:name/modmail', auth, rateLimit('message'), validate({
+  params: nameParams,
+  body: {
+    to: v.string({ optional: true, max: 50 }),
+    subject: v.string({ min: 1, max: 100 }),
+    body: v.string({ min: 1, max: 10000 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { to, subject, body } = req.body;
+  
+  const community = await loadCommunity(req.params.name);
+  
+  const recipient = to ? await findUser({ username: to.replace(/^\/?u\//, '') }) : null;
+  
+  const { conversation, message } = await messaging.sendModmail({
+    community,
+    sender: req.user,
+    recipient,
+    subject,
+    body
+  });
+  
+  res.status(201).json({ conversation, message });
+}));
+
+// Get the mod log (moderators only)
+router.get('/:name/modlog', auth, validate({
+  params: nameParams,
+  query: {
+    action: v.oneOf(ModAction.schema.path('action').enumValues, { optional: true }),
+    moderator: v.string({ optional: true, max: 50 }),
+    ...v.page()
+  }
+}), asyncHandler(async (req, res) => {
+  const { action, moderator, after, before, limit } = req.query;
+  
+  const community = await loadAsModerator(req, 'view the mod log');
+  
+  const filter = { community: community.name };
+  
+  if (action) filter.action = action;
+  
+  if (moderator) {
+    const moderatorUser = await findUser({ username: moderator }, '_id');
+    filter.moderator = moderatorUser._id;
+  }
+  
+  const query = ModAction.find(filter)
+    .populate('moderator', 'username')
+    .populate('targetUser', 'username')
+    .populate('targetPost', 'title')
+    .populate('targetComment', 'content');
+  
+  const page = await paginate(query, { createdAt: -1, _id: -1 }, { after, before, limit });
+  
+  res.json(page);
+}));
+
+// List active bans (moderators only)
+router.get('/:name/bans', auth, validate({
+  params: nameParams,
+  query: v.page()
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view bans');
+  
+  const query = Ban.find({ community: community.name, ...bans.activeFilter() })
+    .populate('user', 'username')
+    .populate('moderator', 'username');
+  
+  const page = await paginate(query, { createdAt: -1, _id: -1 }, req.query);
+  
+  res.json(page);
+}));
+
+// Ban a user, permanently or until expiresAt
+router.post('/:name/bans', auth, validate({
+  params: nameParams,
+  body: {
+    username: v.string({ min: 1, max: 50 }),
+    reason: v.string({ optional: true, max: 300 }),
+    note: v.string({ optional: true, max: 1000 }),
+    expiresAt: v.date({ optional: true, nullable: true, future: true })
+  }
+}), asyncHandler(async (req, res) => {
+  const { username, reason, note, expiresAt } = req.body;
+  
+  const community = await loadAsModerator(req, 'ban users');
+  
+  const user = await findUser({ username });
+  
+  if (moderation.isModerator(community, user._id)) {
+    throw new BadRequestError('Moderators cannot be banned');
+  }
+  
+  const expiry = expiresAt || null;
+  
+  // Banning an already banned user replaces the existing ban
+  const ban = await Ban.findOneAndUpdate(
+    { community: community.name, user: user._id },
+    {
+      $set: {
+        moderator: req.user._id,
+        reason,
+        note,
+        expiresAt: expiry
+      }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'banUser',
+    targetUser: user,
+    reason,
+    details: { expiresAt: expiry }
+  });
+  
+  await ban.populate('user', 'username');
+  
+  res.status(201).json(ban);
+}));
+
+// Lift a ban
+router.delete('/:name/bans/:userId', auth, validate({
+  params: { name, userId: v.objectId() }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'lift bans');
+  
+  const ban = await Ban.findOneAndDelete({ community: community.name, user: req.params.userId });
+  
+  if (!ban) {
+    throw new NotFoundError('Ban not found');
+  }
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'unbanUser',
+    targetUser: ban.user
+  });
+  
+  res.json({ message: 'Ban lifted successfully' });
+}));
+
+// Get the community's active modmail mutes (moderators only)
+router.get('/:name/mutes', auth, validate({
+  params: nameParams,
+  query: v.page()
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view mutes');
+  
+  const query = Mute.find({ community: community.name, ...mutes.activeFilter() })
+    .populate('user', 'username')
+    .populate('moderator', 'username');
+  
+  const page = await paginate(query, { createdAt: -1, _id: -1 }, req.query);
+  
+  res.json(page);
+}));
+
+// Mute a user in modmail for a number of days
+router.post('/:name/mutes', auth, validate({
+  params: nameParams,
+  body: {
+    username: v.string({ min: 1, max: 50 }),
+    reason: v.string({ optional: true, max: 300 }),
+    days: v.int({ min: 1, max: mutes.MAX_DAYS, default: mutes.DEFAULT_DAYS })
+  }
+}), asyncHandler(async (req, res) => {
+  const { username, reason, days } = req.body;
+  
+  const community = await loadAsModerator(req, 'mute users');
+  
+  const user = await findUser({ username });
+  
+  if (moderation.isModerator(community, user._id)) {
+    throw new BadRequestError('Moderators cannot be muted');
+  }
+  
+  const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  
+  // Muting an already muted user replaces the existing mute
+  const mute = await Mute.findOneAndUpdate(
+    { community: community.name, user: user._id },
+    { $set: { moderator: req.user._id, reason, expiresAt } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'muteUser',
+    targetUser: user,
+    reason,
+    details: { expiresAt }
+  });
+  
+  await mute.populate('user', 'username');
+  
+  res.status(201).json(mute);
+}));
+
+// Lift a mute
+router.delete('/:name/mutes/:userId', auth, validate({
+  params: { name, userId: v.objectId() }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'lift mutes');
+  
+  const mute = await Mute.findOneAndDelete({ community: community.name, user: req.params.userId });
+  
+  if (!mute) {
+    throw new NotFoundError('Mute not found');
+  }
+  
+  await moderation.logAction({
+    community,
+    moderator: req.user,
+    action: 'unmuteUser',
+    targetUser: mute.user
+  });
+  
+  res.json({ message: 'Mute lifted successfully' });
+}));
+
+// Get the mod queue (moderators only)
+router.get('/:name/modqueue', auth, validate({
+  params: nameParams,
+  query: {
+    type: v.oneOf(['all', 'post', 'comment'], { default: 'all' }),
+    ...v.page()
+  }
+}), asyncHandler(async (req, res) => {
+  const community = await loadAsModerator(req, 'view the mod queue');
+  
+  const page = await reports.getModQueue(community, req.query);
+  
+  res.json(page);
+}));
+
+// Review a queued item: approve it, remove it or ignore its reports
+router.post('/:name/modqueue/:type/:id', auth, validate({
+  params: {
+    name,
+    type: v.oneOf(['post', 'comment']),
+    id: v.objectId()
+  },
+  body: {
+    action: v.oneOf(['approve', 'remove', 'ignore']),
+    reason: v.string({ optional: true, max: 1000 }),
+    reasonId: v.objectId({ optional: true })
+  }
+}), asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+  const { action, reason, reasonId } = req.body;
+  
+  const community = await loadAsModerator(req, 'review the mod queue');
+  
+  const model = type === 'post' ? Post : Comment;
+  const target = await model.findOne({ _id: id, community: community.name });
+  
+  if (!target || target.deleted) {
+    throw new NotFoundError(`${type === 'post' ? 'Post' : 'Comment'} not found`);
+  }
+  
+  const options = { type, target, community, moderator: req.user };
+  let updated;
+  
+  if (action === 'approve') {
+    updated = await moderation.approveContent(options);
+  } else if (action === 'remove') {
+    updated = await moderation.removeContent({ ...options, reason, reasonId });
+  } else {
+    updated = await moderation.ignoreReports(options);
+  }
+  
+  res.json(updated);
+}));
+
 module.exports = router;
@@ -0,0 +1,57 @@
+
+const express = require('express');
+const Media = require('../models/Media');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { normalizeUrl } = require('../utils/url');
+
+const router = express.Router();
+
+const idParams = { id: v.objectId() };
+
+// Register an uploaded image so it can be attached to an image post.
+// The file itself is uploaded to storage by the client beforehand.
+router.post('/', auth, validate({
+  body: {
+    url: v.string({ min: 1, max: 2048 }),
+    mimeType: v.string(),
+    width: v.int({ optional: true, min: 1 }),
+    height: v.int({ optional: true, min: 1 }),
+    size: v.int({ optional: true, min: 0 })
+  }
+}), asyncHandler(async (req, res) => {
+  const { url, mimeType, width, height, size } = req.body;
+  
+  const normalized = normalizeUrl(url);
+  
+  if (!normalized || !normalized.startsWith('https:')) {
+    throw new BadRequestError('A valid https URL is required');
+  }
+  
+  const media = await Media.create({
+    owner: req.user._id,
+    url: normalized,
+    mimeType,
+    width,
+    height,
+    size
+  });
+  
+  res.status(201).json(media);
+}));
+
+// Get a media asset
+router.get('/:id', validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const media = await Media.findById(req.params.id);
+  
+  if (!media) {
+    throw new NotFoundError('Media not found');
+  }
+  
+  res.json(media);
+}));
+
+module.exports = router;
@@ -0,0 +1,85 @@
+
+const express = require('express');
+const Conversation = require('../models/Conversation');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const requireVerified = require('../middleware/requireVerified');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { NotFoundError } = require('../utils/errors');
+const messaging = require('../services/messaging');
+
+const router = express.Router();
+
+const idParams = { id: v.objectId() };
+const messageBody = v.string({ min: 1, max: 10000 });
+
+// Get the current user's conversations
+router.get('/', auth, validate({ query: v.page() }), asyncHandler(async (req, res) => {
+  const page = await messaging.getInbox(req.user._id, req.query);
+  
+  res.json(page);
+}));
+
+// Send a direct message to a user by username
+router.post('/', auth, requireVerified, rateLimit('message'), validate({
+  body: {
+    to: v.string({ min: 1 }),
+    subject: v.string({ optional: true, max: 100 }),
+    body: messageBody
+  }
+}), asyncHandler(async (req, res) => {
+  const { to, subject, body } = req.body;
+  
+  const recipient = await User.findOne({ username: to.replace(/^\/?u\//, '') });
+  
+  if (!recipient) {
+    throw new NotFoundError('User not found');
+  }
+  
+  const { conversation, message } = await messaging.sendDirect({
+    sender: req.user,
+    recipient,
+    subject,
+    body
+  });
+  
+  res.status(201).json({ conversation, message });
+}));
+
+// Get a conversation with a page of its messages
+router.get('/:id', auth, validate({
+  params: idParams,
+  query: v.page()
+}), asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+  
+  const thread = conversation &&
+    await messaging.getThread(conversation, req.user._id, req.query);
+  
+  if (!thread) {
+    throw new NotFoundError('Conversation not found');
+  }
+  
+  res.json(thread);
+}));
+
+// Reply in a conversation
+router.post('/:id', auth, rateLimit('message'), validate({
+  params: idParams,
+  body: { body: messageBody }
+}), asyncHandler(async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+  
+  if (!conversation) {
+    throw new NotFoundError('Conversation not found');
+  }
+  
+  const message = await messaging.reply({ conversation, sender: req.user, body: req.body.body });
+  
+  res.status(201).json(message);
+}));
+
+module.exports = router;
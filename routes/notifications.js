@@ -0,0 +1,71 @@
+
+const express = require('express');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { NotFoundError } = require('../utils/errors');
+const notifications = require('../services/notifications');
+
+const router = express.Router();
+
+// Get the current user's notifications
+router.get('/', auth, validate({
+  query: {
+    unread: v.boolean({ default: false }),
+    type: v.oneOf(notifications.TYPES, { optional: true }),
+    ...v.page()
+  }
+}), asyncHandler(async (req, res) => {
+  const page = await notifications.getInbox(req.user._id, req.query);
+  
+  res.json(page);
+}));
+
+// Get the number of unread notifications
+router.get('/unread-count', auth, asyncHandler(async (req, res) => {
+  const count = await notifications.unreadCount(req.user._id);
+  
+  res.json({ count });
+}));
+
+// Get the current user's notification preferences
+router.get('/preferences', auth, (req, res) => {
+  res.json(req.user.notificationPreferences);
+});
+
+// Turn notification types on or off
+router.put('/preferences', auth, validate({
+  body: Object.fromEntries(notifications.TYPES.map(type => [type, v.boolean({ optional: true })]))
+}), asyncHandler(async (req, res) => {
+  const user = req.user;
+  
+  Object.assign(user.notificationPreferences, req.body);
+  
+  await user.save();
+  
+  res.json(user.notificationPreferences);
+}));
+
+// Mark all notifications as read
+router.post('/read-all', auth, asyncHandler(async (req, res) => {
+  const updated = await notifications.markAllRead(req.user._id);
+  
+  res.json({ message: 'All notifications marked as read', updated });
+}));
+
+// Mark a notification as read; send { read: false } to mark it unread
+router.post('/:id/read', auth, validate({
+  params: { id: v.objectId() },
+  body: { read: v.boolean({ default: true }) }
+}), asyncHandler(async (req, res) => {
+  const notification = await notifications.markRead(req.user._id, req.params.id, req.body.read);
+  
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+  
+  res.json(notification);
+}));
+
+module.exports = router;
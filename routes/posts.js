@@ -1,370 +1,602 @@
 
 const express = require('express');
-const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Community = require('../models/Community');
-const Comment = require('../models/Comment');
+const Media = require('../models/Media');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const optionalAuth = require('../middleware/optionalAuth');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const automod = require('../services/automod');
+const bans = require('../services/bans');
+const bookmarks = require('../services/bookmarks');
+const communityAccess = require('../services/communityAccess');
+const deletion = require('../services/deletion');
+const membership = require('../services/membership');
+const flair = require('../services/flair');
+const linkMetadata = require('../services/linkMetadata');
+const moderation = require('../services/moderation');
+const notifications = require('../services/notifications');
+const polls = require('../services/polls');
+const reports = require('../services/reports');
+const revisions = require('../services/revisions');
+const searchService = require('../services/search');
+const visibility = require('../services/visibility');
+const voting = require('../services/voting');
+const ranking = require('../utils/ranking');
+const { paginate } = require('../utils/pagination');
+const { parseSearchQuery } = require('../utils/searchQuery');
+const { normalizeUrl, getDomain } = require('../utils/url');
 
 const router = express.Router();
 
-// Get all posts with sorting
-router.get('/', async (req, res) => {
-  try {
-    const { sort = 'hot', limit = 20, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    let sortOption = {};
-    
-    switch (sort) {
-      case 'new':
-        sortOption = { createdAt: -1 };
-        break;
-      case 'top':
-        sortOption = { upvotes: -1 };
-        break;
-      case 'rising':
-        // For rising, we could use a combination of recency and upvote velocity
-        sortOption = { createdAt: -1, upvotes: -1 };
-        break;
-      case 'hot':
-      default:
-        // For hot, we'll sort by a combination of upvotes and recency
-        sortOption = { upvotes: -1, createdAt: -1 };
-        break;
-    }
-    
-    const posts = await Post.find()
-      .sort(sortOption)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author', 'username')
-      .exec();
-    
-    res.json(posts);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
+// Media fields shown with image posts
+const MEDIA_FIELDS = 'url mimeType width height';
+
+const KINDS = ['text', 'link', 'image', 'poll'];
+
+const idParams = { id: v.objectId() };
+const title = v.string({ min: 1, max: 300 });
+const content = v.string({ optional: true, max: 40000 });
+const flairId = v.objectId({ optional: true, nullable: true });
+
+// Sorting and paging options shared by post listings
+const listingQuery = (defaultSort = 'hot') => ({
+  sort: v.oneOf(ranking.SORTS, { default: defaultSort }),
+  t: v.oneOf(Object.keys(ranking.TIME_WINDOWS), { default: 'all' }),
+  ...v.page()
 });
 
+// Run a post listing, leaving out posts the viewer has hidden and posts from
+// private communities they can't see
+const listPosts = async (filter, req) => {
+  const { sort, t, after, before, limit } = req.query;
+  const { filter: sortFilter, sort: sortOption } = ranking.getPostSort(sort, t);
+  
+  const viewerId = req.user && req.user._id;
+  const visible = await communityAccess.excludePrivate({ ...sortFilter, ...filter }, viewerId);
+  const feedFilter = await bookmarks.excludeHidden(visible, viewerId);
+  
+  const query = Post.find(visibility.liveFilter(feedFilter))
+    .populate('author', 'username')
+    .populate('media', MEDIA_FIELDS);
+  
+  const page = await paginate(query, sortOption, { after, before, limit });
+  
+  page.items = await bookmarks.flagItems('post', page.items, viewerId);
+  
+  return page;
+};
+
+// Get all posts site-wide with sorting; `/` is kept for older clients
+router.get(['/', '/all'], optionalAuth, validate({ query: listingQuery() }), asyncHandler(async (req, res) => {
+  res.json(await listPosts({}, req));
+}));
+
+// Get the home feed: posts from the user's communities, or from the
+// default communities for anonymous users and users who haven't joined any
+router.get('/home', optionalAuth, validate({ query: listingQuery() }), asyncHandler(async (req, res) => {
+  const communities = await membership.getHomeCommunities(req.user);
+  
+  res.json(await listPosts({ community: { $in: communities } }, req));
+}));
+
 // Get posts from a specific community
-router.get('/community/:communityName', async (req, res) => {
-  try {
-    const { communityName } = req.params;
-    const { sort = 'hot', limit = 20, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    let sortOption = {};
-    
-    switch (sort) {
-      case 'new':
-        sortOption = { createdAt: -1 };
-        break;
-      case 'top':
-        sortOption = { upvotes: -1 };
-        break;
-      case 'rising':
-        sortOption = { createdAt: -1, upvotes: -1 };
-        break;
-      case 'hot':
-      default:
-        sortOption = { upvotes: -1, createdAt: -1 };
-        break;
-    }
-    
-    // Check if community exists
-    const community = await Community.findOne({ name: communityName });
-    
-    if (!community) {
-      return res.status(404).json({ message: 'Community not found' });
-    }
-    
-    const posts = await Post.find({ community: communityName })
-      .sort(sortOption)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author', 'username')
-      .exec();
-    
-    res.json(posts);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.get('/community/:communityName', optionalAuth, validate({
+  params: { communityName: v.string({ min: 1, max: 50 }) },
+  query: {
+    ...listingQuery(),
+    flair: v.string({ optional: true, max: 64 })
   }
-});
+}), asyncHandler(async (req, res) => {
+  const { communityName } = req.params;
+  
+  // Check if community exists
+  const community = await Community.findOne({ name: communityName });
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  communityAccess.assertCanView(community, req.user && req.user._id);
+  
+  const filter = { community: communityName };
+  
+  if (req.query.flair) filter['flair.text'] = req.query.flair;
+  
+  res.json(await listPosts(filter, req));
+}));
 
 // Get posts by a specific user
-router.get('/user/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    const { sort = 'new', limit = 20, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Find user by username
-    const user = await mongoose.model('User').findOne({ username });
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    let sortOption = {};
-    
-    switch (sort) {
-      case 'top':
-        sortOption = { upvotes: -1 };
-        break;
-      case 'new':
-      default:
-        sortOption = { createdAt: -1 };
-        break;
-    }
-    
-    const posts = await Post.find({ author: user._id })
-      .sort(sortOption)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author', 'username')
-      .exec();
-    
-    res.json(posts);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.get('/user/:username', optionalAuth, validate({
+  params: { username: v.string({ min: 1, max: 50 }) },
+  query: listingQuery('new')
+}), asyncHandler(async (req, res) => {
+  // Find user by username
+  const user = await User.findOne({ username: req.params.username });
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-});
+  
+  res.json(await listPosts({ author: user._id }, req));
+}));
+
+// Get link posts to a specific domain
+router.get('/domain/:domain', optionalAuth, validate({
+  params: { domain: v.string({ min: 1, max: 253, lowercase: true }) },
+  query: listingQuery()
+}), asyncHandler(async (req, res) => {
+  const domain = req.params.domain.replace(/^www\./, '');
+  
+  res.json(await listPosts({ domain }, req));
+}));
+
+// Search posts
+router.get('/search', optionalAuth, validate({
+  query: {
+    q: v.string({ min: 1, max: 512 }),
+    sort: v.oneOf(searchService.SORTS, { default: 'relevance' }),
+    ...v.page()
+  }
+}), asyncHandler(async (req, res) => {
+  const { q, sort, after, before, limit } = req.query;
+  
+  const viewerId = req.user && req.user._id;
+  const page = await searchService.searchPosts(parseSearchQuery(q), sort, { after, before, limit }, viewerId);
+  
+  res.json(page);
+}));
 
 // Get a single post by ID
-router.get('/:id', async (req, res) => {
-  try {
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'username')
-      .exec();
-    
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    
-    res.json(post);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.get('/:id', optionalAuth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id)
+    .populate('author', 'username')
+    .populate('media', MEDIA_FIELDS)
+    .select(polls.RESULT_FIELDS)
+    .exec();
+  
+  if (!post) {
+    throw new NotFoundError('Post not found');
   }
-});
+  
+  const viewerId = req.user && req.user._id;
+  const community = await communityAccess.assertCanViewByName(post.community, viewerId);
+  
+  const result = visibility.maskRemoved(post, {
+    viewerId,
+    moderator: moderation.isModerator(community, viewerId)
+  });
+  
+  // Masked posts have no poll to show
+  if (post.kind === 'poll' && result.poll) {
+    result.poll = await polls.viewPoll(post, viewerId);
+  }
+  
+  res.json(await bookmarks.flagItem('post', result, viewerId));
+}));
 
 // Create a new post
-router.post('/', auth, async (req, res) => {
-  try {
-    const { title, content, community } = req.body;
-    
-    // Check if community exists
-    const communityDoc = await Community.findOne({ name: community });
-    
-    if (!communityDoc) {
-      return res.status(404).json({ message: 'Community not found' });
+router.post('/', auth, rateLimit('post'), validate({
+  body: {
+    title,
+    content,
+    community: v.string({ min: 1, max: 50 }),
+    kind: v.oneOf(KINDS, { default: 'text' }),
+    url: v.string({ optional: true, max: 2048 }),
+    mediaId: v.objectId({ optional: true }),
+    poll: v.object({
+      options: v.array(v.string({ min: 1, max: 120 }), { min: polls.MIN_OPTIONS, max: polls.MAX_OPTIONS }),
+      multipleChoice: v.boolean({ optional: true }),
+      closesAt: v.date({ optional: true, future: true })
+    }, { optional: true }),
+    flairId
+  }
+}), asyncHandler(async (req, res) => {
+  const { title, content, community, kind, url, mediaId, poll, flairId } = req.body;
+  
+  const fields = { kind };
+  
+  // Each kind carries its own body
+  if (kind === 'text') {
+    fields.content = content;
+  } else if (kind === 'link') {
+    fields.url = url && normalizeUrl(url);
+    
+    if (!fields.url) {
+      throw new BadRequestError('A valid http or https URL is required');
     }
     
-    const post = new Post({
-      title,
-      content,
-      author: req.user._id,
-      community
-    });
+    fields.domain = getDomain(fields.url);
+  } else if (kind === 'image') {
+    const media = mediaId && await Media.findById(mediaId);
     
-    await post.save();
+    if (!media) {
+      throw new BadRequestError('Image not found');
+    }
     
-    // Populate author information
-    await post.populate('author', 'username');
+    if (media.owner.toString() !== req.user._id.toString()) {
+      throw new ForbiddenError('You can only post your own images');
+    }
     
-    res.status(201).json(post);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+    fields.media = media._id;
+  } else if (kind === 'poll') {
+    fields.content = content;
+    fields.poll = polls.buildPoll(poll);
   }
-});
+  
+  // Check if community exists
+  const communityDoc = await Community.findOne({ name: community });
+  
+  if (!communityDoc) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  await bans.assertNotBanned(communityDoc.name, req.user._id);
+  communityAccess.assertCanPost(communityDoc, req.user._id);
+  
+  const post = new Post({
+    title,
+    ...fields,
+    flair: flair.postFlairFor(communityDoc, flairId, req.user),
+    authorFlair: await flair.getUserFlair(communityDoc.name, req.user._id),
+    author: req.user._id,
+    community
+  });
+  
+  // Automod rules run before the post goes live
+  const screened = await automod.screen({
+    type: 'post',
+    target: post,
+    author: req.user,
+    community: communityDoc
+  });
+  
+  await post.save();
+  await automod.followUp(screened);
+  
+  // Link metadata is filled in in the background
+  if (post.kind === 'link') {
+    linkMetadata.enrichPost(post);
+  }
+  
+  if (!post.removed) {
+    await notifications.notifyMentions({
+      texts: [post.title, post.content],
+      actor: req.user,
+      community: post.community,
+      post
+    });
+  }
+  
+  // Populate author information
+  await post.populate([
+    { path: 'author', select: 'username' },
+    { path: 'media', select: MEDIA_FIELDS }
+  ]);
+  
+  const result = post.toJSON();
+  
+  if (post.kind === 'poll') {
+    result.poll = polls.present(post.poll);
+  }
+  
+  res.status(201).json(result);
+}));
+
+// Edit history of a post (author or moderators)
+router.get('/:id/revisions', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id);
+  
+  if (!post || post.deleted) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  res.json(await revisions.getHistory({ type: 'post', target: post, userId: req.user._id }));
+}));
 
 // Update a post
-router.put('/:id', auth, async (req, res) => {
-  try {
-    const { title, content } = req.body;
-    
-    // Find post
-    const post = await Post.findById(req.params.id);
-    
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    
-    // Check if user is the author
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to update this post' });
-    }
-    
-    // Update post
-    post.title = title || post.title;
-    post.content = content || post.content;
-    
-    await post.save();
-    
-    // Populate author information
-    await post.populate('author', 'username');
-    
-    res.json(post);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.put('/:id', auth, validate({
+  params: idParams,
+  body: {
+    title: v.string({ optional: true, max: 300 }),
+    content,
+    flairId
   }
-});
+}), asyncHandler(async (req, res) => {
+  const { title, content, flairId } = req.body;
+  
+  // Find post
+  const post = await Post.findById(req.params.id);
+  
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  if (post.deleted) {
+    throw new BadRequestError('Cannot edit a deleted post');
+  }
+  
+  // Check if user is the author
+  if (post.author.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to update this post');
+  }
+  
+  // Only text and poll posts have a body to edit
+  if (content && !['text', 'poll'].includes(post.kind)) {
+    throw new BadRequestError(`Cannot edit the content of a ${post.kind} post`);
+  }
+  
+  // A null or empty flairId clears the flair
+  if (flairId !== undefined) {
+    const community = await Community.findOne({ name: post.community });
+    post.flair = flair.postFlairFor(community, flairId, req.user) || undefined;
+  }
+  
+  // Update post, keeping the replaced version in its edit history. An empty
+  // content clears a poll's optional body.
+  await revisions.applyEdit({
+    type: 'post',
+    target: post,
+    changes: { title: title || undefined, content }
+  });
+  
+  // Populate author information
+  await post.populate('author', 'username');
+  
+  res.json(post);
+}));
+
+// Set or clear a post's flair (author or moderators)
+router.put('/:id/flair', auth, validate({
+  params: idParams,
+  body: { flairId: v.objectId({ nullable: true }) }
+}), asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id);
+  
+  if (!post || post.deleted) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  const community = await Community.findOne({ name: post.community });
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  const updated = await flair.setPostFlair({
+    post,
+    community,
+    user: req.user,
+    flairId: req.body.flairId
+  });
+  
+  res.json(updated);
+}));
 
 // Delete a post
-router.delete('/:id', auth, async (req, res) => {
-  try {
-    // Find post
-    const post = await Post.findById(req.params.id);
-    
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    
-    // Check if user is the author
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to delete this post' });
-    }
-    
-    // Delete all comments associated with the post
-    await Comment.deleteMany({ post: post._id });
-    
-    // Delete the post
-    await post.remove();
-    
-    res.json({ message: 'Post deleted successfully' });
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.delete('/:id', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  // Find post
+  const post = await Post.findById(req.params.id);
+  
+  if (!post || post.deleted) {
+    throw new NotFoundError('Post not found');
   }
-});
+  
+  // Check if user is the author
+  if (post.author.toString() !== req.user._id.toString()) {
+    throw new ForbiddenError('Not authorized to delete this post');
+  }
+  
+  // Soft delete; the comment thread stays in place
+  await deletion.deletePost(post);
+  
+  res.json({ message: 'Post deleted successfully' });
+}));
 
-// Vote on a post
-router.post('/:id/vote', auth, async (req, res) => {
-  try {
-    const { vote } = req.body;
-    const postId = req.params.id;
-    const userId = req.user._id;
-    
-    // Validate vote value (-1, 0, 1)
-    if (![1, 0, -1].includes(vote)) {
-      return res.status(400).json({ message: 'Invalid vote value' });
-    }
-    
-    const post = await Post.findById(postId);
-    
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    
-    // Check if user has already voted
-    const existingVoteIndex = post.voters.findIndex(
-      v => v.user.toString() === userId.toString()
-    );
-    
-    // Update the post's vote count
-    if (existingVoteIndex !== -1) {
-      const existingVote = post.voters[existingVoteIndex].vote;
-      
-      // Remove existing vote
-      if (existingVote === 1) {
-        post.upvotes -= 1;
-      } else if (existingVote === -1) {
-        post.downvotes -= 1;
-      }
-      
-      if (vote === 0) {
-        // Remove vote entirely
-        post.voters.splice(existingVoteIndex, 1);
-      } else {
-        // Update vote
-        post.voters[existingVoteIndex].vote = vote;
-        
-        // Add new vote
-        if (vote === 1) {
-          post.upvotes += 1;
-        } else if (vote === -1) {
-          post.downvotes += 1;
-        }
-      }
-    } else if (vote !== 0) {
-      // Add new vote
-      post.voters.push({ user: userId, vote });
-      
-      if (vote === 1) {
-        post.upvotes += 1;
-      } else if (vote === -1) {
-        post.downvotes += 1;
-      }
-    }
-    
-    await post.save();
-    
-    // Update user karma
-    const user = await mongoose.model('User').findById(post.author);
-    
-    if (user) {
-      // Simple karma calculation: upvotes - downvotes
-      user.karma = await Post.aggregate([
-        { $match: { author: user._id } },
-        { $group: { _id: null, karma: { $sum: { $subtract: ['$upvotes', '$downvotes'] } } } }
-      ]).then(result => (result[0]?.karma || 0));
-      
-      await user.save();
-    }
-    
-    res.json({
-      message: 'Vote recorded successfully',
-      upvotes: post.upvotes,
-      downvotes: post.downvotes
-    });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+// Load a live post and its community for a moderator action
+const loadForModerator = async (req, verb) => {
+  const post = await Post.findById(req.params.id);
+  
+  if (!post || post.deleted) {
+    throw new NotFoundError('Post not found');
   }
-});
+  
+  const community = await Community.findOne({ name: post.community });
+  
+  if (!moderation.isModerator(community, req.user._id)) {
+    throw new ForbiddenError(`Only moderators can ${verb} posts`);
+  }
+  
+  return { post, community };
+};
 
-// Search posts
-router.get('/search', async (req, res) => {
-  try {
-    const { q, sort = 'relevance', limit = 20, page = 1 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    if (!q) {
-      return res.status(400).json({ message: 'Search query is required' });
-    }
-    
-    let sortOption = {};
-    
-    switch (sort) {
-      case 'new':
-        sortOption = { createdAt: -1 };
-        break;
-      case 'top':
-        sortOption = { upvotes: -1 };
-        break;
-      case 'relevance':
-      default:
-        // For relevance, we'll use MongoDB's text score
-        sortOption = { score: { $meta: 'textScore' } };
-        break;
-    }
-    
-    const searchQuery = {
-      $or: [
-        { title: { $regex: q, $options: 'i' } },
-        { content: { $regex: q, $options: 'i' } }
-      ]
-    };
-    
-    const posts = await Post.find(searchQuery)
-      .sort(sortOption)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('author', 'username')
-      .exec();
-    
-    res.json(posts);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+// Remove a post (moderators only)
+router.post('/:id/remove', auth, validate({
+  params: idParams,
+  body: {
+    reason: v.string({ optional: true, max: 1000 }),
+    reasonId: v.objectId({ optional: true })
   }
-});
+}), asyncHandler(async (req, res) => {
+  const { post, community } = await loadForModerator(req, 'remove');
+  
+  const updated = await moderation.removeContent({
+    type: 'post',
+    target: post,
+    community,
+    moderator: req.user,
+    ...req.body
+  });
+  
+  res.json(updated);
+}));
+
+// Approve a post (moderators only)
+router.post('/:id/approve', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const { post, community } = await loadForModerator(req, 'approve');
+  
+  const updated = await moderation.approveContent({
+    type: 'post',
+    target: post,
+    community,
+    moderator: req.user
+  });
+  
+  res.json(updated);
+}));
+
+// Lock a post against new comments (moderators only)
+router.post('/:id/lock', auth, validate({
+  params: idParams,
+  body: { reason: v.string({ optional: true, max: 1000 }) }
+}), asyncHandler(async (req, res) => {
+  const { post, community } = await loadForModerator(req, 'lock');
+  
+  const updated = await moderation.setLocked({
+    type: 'post',
+    target: post,
+    community,
+    moderator: req.user,
+    locked: true,
+    reason: req.body.reason
+  });
+  
+  res.json(updated);
+}));
+
+// Unlock a post (moderators only)
+router.post('/:id/unlock', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const { post, community } = await loadForModerator(req, 'unlock');
+  
+  const updated = await moderation.setLocked({
+    type: 'post',
+    target: post,
+    community,
+    moderator: req.user,
+    locked: false
+  });
+  
+  res.json(updated);
+}));
+
+// Report a post
+router.post('/:id/report', auth, validate({
+  params: idParams,
+  body: {
+    ruleId: v.objectId({ optional: true }),
+    reason: v.string({ optional: true, max: 100 })
+  }
+}), asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id);
+  
+  if (!post || post.deleted) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  const community = await Community.findOne({ name: post.community });
+  
+  if (!community) {
+    throw new NotFoundError('Community not found');
+  }
+  
+  communityAccess.assertCanView(community, req.user._id);
+  
+  await reports.fileReport({
+    type: 'post',
+    target: post,
+    community,
+    reporter: req.user,
+    ...req.body
+  });
+  
+  res.status(201).json({ message: 'Report submitted successfully' });
+}));
+
+// Save a post
+router.post('/:id/save', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id).select('community deleted');
+  
+  if (!post || post.deleted) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  await communityAccess.assertCanViewByName(post.community, req.user._id);
+  
+  await bookmarks.add('saved', 'post', post._id, req.user._id);
+  
+  res.json({ message: 'Post saved', saved: true });
+}));
+
+// Unsave a post
+router.post('/:id/unsave', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  await bookmarks.remove('saved', 'post', req.params.id, req.user._id);
+  
+  res.json({ message: 'Post unsaved', saved: false });
+}));
+
+// Hide a post from the user's feeds
+router.post('/:id/hide', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id).select('community');
+  
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  await communityAccess.assertCanViewByName(post.community, req.user._id);
+  
+  await bookmarks.add('hidden', 'post', post._id, req.user._id);
+  
+  res.json({ message: 'Post hidden', hidden: true });
+}));
+
+// Unhide a post
+router.post('/:id/unhide', auth, validate({ params: idParams }), asyncHandler(async (req, res) => {
+  await bookmarks.remove('hidden', 'post', req.params.id, req.user._id);
+  
+  res.json({ message: 'Post unhidden', hidden: false });
+}));
+
+// Vote in a post's poll
+router.post('/:id/poll/vote', auth, rateLimit('vote'), validate({
+  params: idParams,
+  body: { options: v.array(v.objectId(), { min: 1, max: polls.MAX_OPTIONS }) }
+}), asyncHandler(async (req, res) => {
+  const poll = await polls.castBallot(req.params.id, req.user, req.body.options);
+  
+  if (!poll) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  res.json({ message: 'Vote recorded successfully', poll });
+}));
+
+// Vote on a post
+router.post('/:id/vote', auth, rateLimit('vote'), validate({
+  params: idParams,
+  body: { vote: v.oneOf([1, 0, -1]) }
+}), asyncHandler(async (req, res) => {
+  const { vote } = req.body;
+  
+  const result = await voting.castVote('post', req.params.id, req.user, vote);
+  
+  if (!result) {
+    throw new NotFoundError('Post not found');
+  }
+  
+  const { target: post } = result;
+  
+  res.json({
+    message: 'Vote recorded successfully',
+    upvotes: post.upvotes,
+    downvotes: post.downvotes,
+    score: post.score,
+    vote
+  });
+}));
 
 module.exports = router;
@@ -0,0 +1,41 @@
+
+const express = require('express');
+const optionalAuth = require('../middleware/optionalAuth');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { BadRequestError } = require('../utils/errors');
+const searchService = require('../services/search');
+const { parseSearchQuery } = require('../utils/searchQuery');
+
+const router = express.Router();
+
+// Search posts, comments, communities and users
+router.get('/', optionalAuth, validate({
+  query: {
+    q: v.string({ min: 1, max: 512 }),
+    type: v.array(v.oneOf(searchService.TYPES), { default: ['post'], min: 1 }),
+    sort: v.oneOf(searchService.SORTS, { default: 'relevance' }),
+    ...v.page()
+  }
+}), asyncHandler(async (req, res) => {
+  const { q, sort, after, before, limit } = req.query;
+  const types = [...new Set(req.query.type)];
+  
+  // Cursors belong to a single result list
+  if ((after || before) && types.length > 1) {
+    throw new BadRequestError('Cursors can only be used when searching a single type');
+  }
+  
+  const parsed = parseSearchQuery(q);
+  const viewerId = req.user && req.user._id;
+  const results = {};
+  
+  for (const t of types) {
+    results[t] = await searchService.search(t, parsed, sort, { after, before, limit }, viewerId);
+  }
+  
+  res.json({ query: parsed, results });
+}));
+
+module.exports = router;
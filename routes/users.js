@@ -2,75 +2,161 @@
 const express = require('express');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const asyncHandler = require('../utils/asyncHandler');
+const v = require('../utils/schema');
+const { BadRequestError, NotFoundError, UnauthorizedError } = require('../utils/errors');
+const bookmarks = require('../services/bookmarks');
+const communityAccess = require('../services/communityAccess');
+const karma = require('../services/karma');
+const sessions = require('../services/sessions');
+const voting = require('../services/voting');
 
 const router = express.Router();
 
+const usernameParams = { username: v.string({ min: 1, max: 50 }) };
+
+const listQuery = {
+  type: v.oneOf([...bookmarks.TYPES, 'all'], { default: 'all' }),
+  ...v.page()
+};
+
+// Get the current user's votes on a set of posts and comments
+router.get('/me/votes', auth, validate({
+  query: { ids: v.array(v.objectId(), { min: 1, max: 100 }) }
+}), asyncHandler(async (req, res) => {
+  const votes = await voting.getUserVotes(req.user._id, req.query.ids);
+  
+  res.json({ votes });
+}));
+
+// Get the current user's saved posts and comments
+router.get('/me/saved', auth, validate({ query: listQuery }), asyncHandler(async (req, res) => {
+  const page = await bookmarks.getList('saved', req.user._id, req.query);
+  
+  res.json(page);
+}));
+
+// Get the current user's hidden posts and comments
+router.get('/me/hidden', auth, validate({ query: listQuery }), asyncHandler(async (req, res) => {
+  const page = await bookmarks.getList('hidden', req.user._id, req.query);
+  
+  res.json(page);
+}));
+
+// Get the private community invites the current user has received
+router.get('/me/invites', auth, validate({ query: v.page() }), asyncHandler(async (req, res) => {
+  const page = await communityAccess.getInvitesFor(req.user._id, req.query);
+  
+  res.json(page);
+}));
+
+// Get the users the current user has blocked
+router.get('/me/blocked', auth, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('blockedUsers')
+    .populate('blockedUsers', 'username');
+  
+  res.json(user.blockedUsers);
+}));
+
+// Block a user
+router.post('/:username/block', auth, validate({ params: usernameParams }), asyncHandler(async (req, res) => {
+  const target = await User.findOne({ username: req.params.username }).select('_id');
+  
+  if (!target) {
+    throw new NotFoundError('User not found');
+  }
+  
+  if (target._id.equals(req.user._id)) {
+    throw new BadRequestError('You cannot block yourself');
+  }
+  
+  await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: target._id } });
+  
+  res.json({ message: 'User blocked', blocked: true });
+}));
+
+// Unblock a user
+router.delete('/:username/block', auth, validate({ params: usernameParams }), asyncHandler(async (req, res) => {
+  const target = await User.findOne({ username: req.params.username }).select('_id');
+  
+  if (!target) {
+    throw new NotFoundError('User not found');
+  }
+  
+  await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: target._id } });
+  
+  res.json({ message: 'User unblocked', blocked: false });
+}));
+
 // Get user profile by username
-router.get('/:username', async (req, res) => {
-  try {
-    const user = await User.findOne({ username: req.params.username })
-      .select('-email')
-      .exec();
-    
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    res.json(user);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+router.get('/:username', validate({ params: usernameParams }), asyncHandler(async (req, res) => {
+  const user = await User.findOne({ username: req.params.username })
+    .select('-email -emailVerifiedAt -passwordChangedAt -notificationPreferences')
+    .exec();
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
   }
-});
+  
+  const communityKarma = await karma.getCommunityBreakdown(user._id);
+  
+  res.json({ ...user.toJSON(), communityKarma });
+}));
 
 // Update user profile
-router.put('/profile', auth, async (req, res) => {
-  try {
-    const { avatar } = req.body;
-    
-    // Update user
-    const user = req.user;
-    
-    if (avatar) user.avatar = avatar;
-    
-    await user.save();
-    
-    res.json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      avatar: user.avatar,
-      karma: user.karma,
-      createdAt: user.createdAt
-    });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
-  }
-});
+router.put('/profile', auth, validate({
+  body: { avatar: v.string({ optional: true, max: 2048 }) }
+}), asyncHandler(async (req, res) => {
+  const { avatar } = req.body;
+  
+  // Update user
+  const user = req.user;
+  
+  if (avatar) user.avatar = avatar;
+  
+  await user.save();
+  
+  res.json({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    avatar: user.avatar,
+    karma: user.karma,
+    createdAt: user.createdAt
+  });
+}));
 
 // Change password
-router.put('/password', auth, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
-    
-    // Get user with password
-    const user = await User.findById(req.user._id).select('+password');
-    
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    
-    if (!isMatch) {
-      return res.status(401).json({ message: 'Current password is incorrect' });
-    }
-    
-    // Update password
-    user.password = newPassword;
-    
-    await user.save();
-    
-    res.json({ message: 'Password updated successfully' });
-  } catch (err) {
-    res.status(400).json({ message: err.message });
+router.put('/password', auth, validate({
+  body: {
+    currentPassword: v.string({ min: 1, trim: false }),
+    newPassword: v.string({ min: 6, trim: false })
+  }
+}), asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  
+  // Get user with password
+  const user = await User.findById(req.user._id).select('+password');
+  
+  // Check current password
+  const isMatch = await user.comparePassword(currentPassword);
+  
+  if (!isMatch) {
+    throw new UnauthorizedError('Current password is incorrect', { code: 'INVALID_CREDENTIALS' });
   }
-});
+  
+  // Update password; this invalidates every access token issued so far
+  user.password = newPassword;
+  
+  await user.save();
+  
+  // Log out everywhere and start a fresh session for this device
+  await sessions.revokeAll(user._id, { reason: 'passwordChange' });
+  const tokens = await sessions.createSession(user, req);
+  
+  res.json({ message: 'Password updated successfully', ...tokens });
+}));
 
 module.exports = router;
@@ -0,0 +1,91 @@
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const ranking = require('../utils/ranking');
+
+// Fill in path, depth, reply counts, community and ranking scores for existing
+// comments. Safe to re-run; every value is derived from parentId, the post and
+// the vote counts.
+const backfillPost = async (postId) => {
+  const post = await Post.findById(postId).select('community').lean();
+
+  const comments = await Comment.find({ post: postId })
+    .select('parentId upvotes downvotes')
+    .lean();
+
+  const byId = new Map(comments.map(comment => [comment._id.toString(), comment]));
+  const replyCounts = new Map();
+  const paths = new Map();
+
+  const pathOf = (comment) => {
+    const key = comment._id.toString();
+
+    if (!paths.has(key)) {
+      const parent = comment.parentId && byId.get(comment.parentId.toString());
+      paths.set(key, parent ? [...pathOf(parent), parent._id] : []);
+    }
+
+    return paths.get(key);
+  };
+
+  comments.forEach(comment => {
+    if (comment.parentId) {
+      const key = comment.parentId.toString();
+      replyCounts.set(key, (replyCounts.get(key) || 0) + 1);
+    }
+  });
+
+  const ops = comments.map(comment => {
+    const path = pathOf(comment);
+    const scores = ranking.applyCommentScores({
+      upvotes: comment.upvotes,
+      downvotes: comment.downvotes
+    });
+
+    return {
+      updateOne: {
+        filter: { _id: comment._id },
+        update: {
+          $set: {
+            path,
+            depth: path.length,
+            replyCount: replyCounts.get(comment._id.toString()) || 0,
+            ...(post ? { community: post.community } : {}),
+            score: scores.score,
+            confidenceScore: scores.confidenceScore,
+            controversialScore: scores.controversialScore
+          }
+        }
+      }
+    };
+  });
+
+  if (ops.length > 0) {
+    await Comment.bulkWrite(ops, { ordered: false });
+  }
+
+  return ops.length;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Comment.syncIndexes();
+
+  const postIds = await Comment.distinct('post');
+  let updated = 0;
+
+  for (const postId of postIds) {
+    updated += await backfillPost(postId);
+  }
+
+  console.log(`Backfilled ${updated} comments across ${postIds.length} posts`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Comment tree backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
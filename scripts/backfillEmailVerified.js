@@ -0,0 +1,26 @@
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Mark accounts created before email verification as verified, so they keep
+// access to the routes that now require it. Accounts from before the feature
+// have no emailVerified field at all; newer ones always store it. Safe to
+// re-run.
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Email verification backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,62 @@
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Community = require('../models/Community');
+const User = require('../models/User');
+
+const BATCH_SIZE = 500;
+
+// Rebuild User.communities and memberCount from Community.members, which was
+// the only side written before memberships were kept in sync. Safe to re-run.
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const members = Community.aggregate([
+    { $unwind: '$members' },
+    { $group: { _id: '$members', communities: { $addToSet: '$_id' } } }
+  ]).cursor({ batchSize: BATCH_SIZE });
+
+  const seen = new Set();
+  let ops = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    await User.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+    ops = [];
+  };
+
+  for await (const { _id, communities } of members) {
+    seen.add(_id.toString());
+    ops.push({ updateOne: { filter: { _id }, update: { $set: { communities } } } });
+
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+
+  // Users listed as joined somewhere the community doesn't know about
+  const stale = User.find({ 'communities.0': { $exists: true } }).select('_id').lean().cursor();
+
+  for await (const user of stale) {
+    if (seen.has(user._id.toString())) continue;
+
+    ops.push({ updateOne: { filter: { _id: user._id }, update: { $set: { communities: [] } } } });
+
+    if (ops.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  const counts = await Community.updateMany({}, [
+    { $set: { memberCount: { $size: { $ifNull: ['$members', []] } } } }
+  ]);
+
+  console.log(`Synced memberships for ${updated} users and ${counts.modifiedCount} member counts`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Membership backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
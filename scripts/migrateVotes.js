@@ -0,0 +1,81 @@
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Vote = require('../models/Vote');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+// One-time migration of the embedded `voters` arrays on posts and comments
+// into the Vote collection. Safe to re-run: votes are upserted and the arrays
+// are only removed once their votes have been written.
+const BATCH_SIZE = 500;
+
+const migrate = async (model, field) => {
+  // Read through the driver, the voters path is no longer part of the schema
+  const cursor = model.collection.find(
+    { 'voters.0': { $exists: true } },
+    { projection: { voters: 1 } }
+  );
+
+  let voteOps = [];
+  let migratedIds = [];
+  let documents = 0;
+  let votes = 0;
+
+  const flush = async () => {
+    if (voteOps.length > 0) {
+      await Vote.bulkWrite(voteOps, { ordered: false });
+    }
+    if (migratedIds.length > 0) {
+      await model.collection.updateMany(
+        { _id: { $in: migratedIds } },
+        { $unset: { voters: '' } }
+      );
+    }
+    voteOps = [];
+    migratedIds = [];
+  };
+
+  for await (const doc of cursor) {
+    doc.voters
+      .filter(voter => voter.user && [1, -1].includes(voter.vote))
+      .forEach(voter => {
+        voteOps.push({
+          updateOne: {
+            filter: { user: voter.user, [field]: doc._id },
+            update: { $set: { value: voter.vote } },
+            upsert: true
+          }
+        });
+        votes += 1;
+      });
+
+    migratedIds.push(doc._id);
+    documents += 1;
+
+    if (migratedIds.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  console.log(`Migrated ${votes} votes from ${documents} ${field}s`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // The vote indexes changed from sparse to partial; rebuild them first
+  await Vote.syncIndexes();
+
+  await migrate(Post, 'post');
+  await migrate(Comment, 'comment');
+};
+
+run()
+  .catch((err) => {
+    console.error('Vote migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,58 @@
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const ranking = require('../utils/ranking');
+
+// Recompute the stored ranking scores of every post.
+// Run once after deploying the ranking fields, or whenever the formulas change.
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  await Post.syncIndexes();
+
+  const cursor = Post.find()
+    .select('upvotes downvotes createdAt risingScore')
+    .lean()
+    .cursor();
+
+  let ops = [];
+  let updated = 0;
+
+  for await (const post of cursor) {
+    ranking.applyScores(post);
+
+    ops.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: {
+          $set: {
+            score: post.score,
+            hotScore: post.hotScore,
+            risingScore: post.risingScore,
+            controversialScore: post.controversialScore
+          }
+        }
+      }
+    });
+
+    if (ops.length === 500) {
+      await Post.bulkWrite(ops);
+      updated += ops.length;
+      ops = [];
+    }
+  }
+
+  if (ops.length > 0) {
+    await Post.bulkWrite(ops);
+    updated += ops.length;
+  }
+
+  console.log(`Recomputed ranking scores for ${updated} posts`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Ranking recompute failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const karma = require('../services/karma');
+
+// Rebuild karma totals from post and comment vote counts.
+// Usage: npm run karma:reconcile [-- <userId>]
+const run = async () => {
+  const [userId] = process.argv.slice(2);
+
+  if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    throw new Error(`Invalid user id: ${userId}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const drifted = await karma.reconcile({
+    userId: userId ? new mongoose.Types.ObjectId(userId) : undefined
+  });
+
+  console.log(`Reconciled karma, ${drifted} users had drifted`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Karma reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,70 @@
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const markdown = require('../utils/markdown');
+
+const BATCH_SIZE = 500;
+
+// Re-render the stored HTML of posts and comments rendered by an older
+// renderer version, or never rendered at all. Run after deploying a change to
+// utils/markdown that bumps RENDERER_VERSION. Safe to re-run.
+const rerender = async (model) => {
+  const cursor = model.find({
+    content: { $exists: true },
+    renderVersion: { $ne: markdown.RENDERER_VERSION }
+  })
+    .select('content')
+    .lean()
+    .cursor();
+
+  let ops = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+
+    const result = await model.bulkWrite(ops, { ordered: false });
+    updated += result.modifiedCount;
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    ops.push({
+      updateOne: {
+        // Skip documents edited since they were read; saving them rendered
+        // them with the current version already
+        filter: { _id: doc._id, content: doc.content },
+        update: {
+          $set: {
+            contentHtml: markdown.render(doc.content),
+            renderVersion: markdown.RENDERER_VERSION
+          }
+        }
+      }
+    });
+
+    if (ops.length === BATCH_SIZE) await flush();
+  }
+
+  await flush();
+
+  return updated;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const posts = await rerender(Post);
+  const comments = await rerender(Comment);
+
+  console.log(`Re-rendered ${posts} posts and ${comments} comments with renderer version ${markdown.RENDERER_VERSION}`);
+};
+
+run()
+  .catch((err) => {
+    console.error('Markdown re-render failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
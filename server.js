@@ -10,9 +10,22 @@ const postRoutes = require('./routes/posts');
 const commentRoutes = require('./routes/comments');
 const communityRoutes = require('./routes/communities');
 const userRoutes = require('./routes/users');
+const searchRoutes = require('./routes/search');
+const mediaRoutes = require('./routes/media');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+const purgeDeletedComments = require('./jobs/purgeDeletedComments');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
 
+// Behind a proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY)
+    ? parseInt(process.env.TRUST_PROXY, 10)
+    : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -24,12 +37,19 @@ app.use('/api/posts', postRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/communities', communityRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
     
+    // Background jobs
+    purgeDeletedComments.start();
+    
     // Start server
     const port = process.env.PORT || 3000;
     app.listen(port, () => {
@@ -42,10 +62,5 @@ mongoose.connect(process.env.MONGODB_URI)
   });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    message: 'Something went wrong!',
-    error: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
-});
+app.use('/api', notFound);
+app.use(errorHandler);
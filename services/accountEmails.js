@@ -0,0 +1,153 @@
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const mailer = require('./mailer');
+const sessions = require('./sessions');
+const { BadRequestError } = require('../utils/errors');
+
+// Email verification and password resets.
+//
+// Both mail the user a random single-use token. Only its hash is stored, a
+// new token replaces any earlier one for the same purpose, and tokens expire
+// (24 hours for verification, 1 hour for resets). Links point at APP_URL.
+
+const TOKEN_TTL_MINUTES = {
+  verifyEmail: 24 * 60,
+  resetPassword: 60
+};
+
+const DEFAULT_APP_URL = 'http://localhost:3000';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const appLink = (route, token) => {
+  const base = (process.env.APP_URL || DEFAULT_APP_URL).replace(/\/+$/, '');
+  return `${base}/${route}?token=${encodeURIComponent(token)}`;
+};
+
+const issueToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Mark a token used and resolve to it; null when invalid, used or expired
+const consumeToken = (token, purpose) => UserToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { $set: { usedAt: new Date() } },
+  { new: true }
+);
+
+// Mail a verification link to a user who hasn't verified yet
+const sendVerification = async (user) => {
+  if (user.emailVerified) return false;
+
+  const token = await issueToken(user._id, 'verifyEmail');
+  const link = appLink('verify-email', token);
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n\n${link}\n\n` +
+      'The link expires in 24 hours. If you didn\'t create an account, you can ignore this email.'
+  });
+
+  return true;
+};
+
+const verifyEmail = async (token) => {
+  const used = token && await consumeToken(token, 'verifyEmail');
+
+  if (!used) {
+    throw new BadRequestError('Verification link is invalid or has expired');
+  }
+
+  return User.findByIdAndUpdate(
+    used.user,
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  );
+};
+
+const sendPasswordReset = async (user) => {
+  const token = await issueToken(user._id, 'resetPassword');
+  const link = appLink('reset-password', token);
+
+  await mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nSomeone asked to reset your password. Choose a new one here:\n\n${link}\n\n` +
+      'The link expires in 1 hour. If you didn\'t ask for this, you can ignore this email.'
+  });
+};
+
+// Mail a reset link if an account uses this email. The mail is sent in the
+// background and its errors are only logged, so the response takes the same
+// time and has the same outcome either way and callers can't tell whether the
+// account exists.
+const requestPasswordReset = async (email) => {
+  const user = email && await User.findOne({ email: String(email).toLowerCase().trim() });
+
+  if (!user) return;
+
+  sendPasswordReset(user).catch((err) => {
+    console.error('Failed to send password reset email:', err);
+  });
+};
+
+// Set a new password with a reset token and log out every session
+const resetPassword = async (token, password) => {
+  // Checked up front so a bad password doesn't use up the token
+  if (!password || String(password).length < 6) {
+    throw new BadRequestError('Password must be at least 6 characters');
+  }
+
+  const used = token && await consumeToken(token, 'resetPassword');
+
+  if (!used) {
+    throw new BadRequestError('Reset link is invalid or has expired');
+  }
+
+  const user = await User.findById(used.user);
+
+  if (!user) {
+    throw new BadRequestError('Reset link is invalid or has expired');
+  }
+
+  user.password = password;
+
+  // Following a mailed link proves the user controls the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+
+  await sessions.revokeAll(user._id, { reason: 'passwordChange' });
+
+  return user;
+};
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  sendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword
+};
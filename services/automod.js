@@ -0,0 +1,393 @@
+
+const crypto = require('crypto');
+const AutomodRule = require('../models/AutomodRule');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const flair = require('./flair');
+const moderation = require('./moderation');
+const notifications = require('./notifications');
+const safeRegex = require('../utils/safeRegex');
+const { escapeRegex } = require('../utils/searchQuery');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Automoderation.
+//
+// Communities define rules (models/AutomodRule) that new posts and comments
+// are checked against before they are saved. A rule fires when all of its
+// conditions match, and every rule that fires contributes its actions:
+// removal wins over filtering, the first rule with a lock or a flair applies
+// it, and replies are combined into one comment from the automod user.
+// Moderators' own posts and comments are never checked. Every action taken is
+// written to the mod log without a moderator and with the rule in its details.
+
+const DEFAULT_USERNAME = 'AutoModerator';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Only the start of long bodies is matched
+const MAX_MATCH_LENGTH = 10000;
+
+// Total time the regexes of one screening may take, waiting included. Regex
+// conditions left when it runs out don't match, so a community with many slow
+// rules can't hold up submissions much, here or elsewhere.
+const REGEX_BUDGET_MS = 250;
+
+const getUsername = () => process.env.AUTOMOD_USERNAME || DEFAULT_USERNAME;
+
+// The account automod replies are posted from, created on first use. It is
+// found by its automod flag, never by name, so an existing account that
+// happens to have the name isn't taken over.
+const getAutomodUser = async () => {
+  const existing = await User.findOne({ automod: true });
+
+  if (existing) return existing;
+
+  const username = getUsername();
+
+  try {
+    return await User.create({
+      username,
+      email: `${username.toLowerCase()}@automod.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      emailVerified: true,
+      automod: true
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // Created by a concurrent request, or the name belongs to someone else
+    const created = await User.findOne({ automod: true });
+
+    if (created) return created;
+
+    throw new Error(`Cannot create the automod account: username "${username}" is taken; set AUTOMOD_USERNAME`);
+  }
+};
+
+const fieldText = (field, { type, target }) => {
+  let text = '';
+
+  if (field === 'title' && type === 'post') text = target.title;
+  if (field === 'body') text = target.content;
+  if (field === 'domain' && type === 'post') text = target.domain;
+
+  return String(text || '').slice(0, MAX_MATCH_LENGTH);
+};
+
+// Keywords match whole words, ignoring case; domains also match subdomains
+const keywordMatches = (field, text, keyword) => {
+  if (field === 'domain') {
+    const domain = keyword.toLowerCase().replace(/^www\./, '');
+    return text === domain || text.endsWith(`.${domain}`);
+  }
+
+  return new RegExp(`(^|\\W)${escapeRegex(keyword)}($|\\W)`, 'i').test(text);
+};
+
+// Moderators' regexes run through utils/safeRegex, so a pattern that
+// backtracks badly times out instead of blocking the server; one that times
+// out, can't be run at all or is past the screening's budget doesn't match
+const regexMatches = async (regex, text, item) => {
+  const remaining = item.regexDeadline - Date.now();
+
+  if (remaining <= 0) {
+    console.warn(`Automod regex skipped, time budget used up: ${regex}`);
+    return false;
+  }
+
+  let matched;
+
+  try {
+    matched = await safeRegex.test(regex, text, {
+      flags: 'i',
+      timeoutMs: Math.min(safeRegex.DEFAULT_TIMEOUT_MS, remaining)
+    });
+  } catch (err) {
+    console.warn(`Automod regex failed: ${regex}:`, err.message);
+    return false;
+  }
+
+  if (matched === null) {
+    console.warn(`Automod regex timed out: ${regex}`);
+  }
+
+  return matched === true;
+};
+
+const matchHolds = async (match, item) => {
+  const text = fieldText(match.field, item);
+
+  if (!text) return false;
+
+  if (match.keywords.some(keyword => keywordMatches(match.field, text, keyword))) return true;
+
+  return Boolean(match.regex) && regexMatches(match.regex, text, item);
+};
+
+const authorHolds = (condition, author, now) => {
+  if (condition.accountAgeLessThanDays != null &&
+    now - author.createdAt >= condition.accountAgeLessThanDays * DAY) {
+    return false;
+  }
+
+  if (condition.karmaLessThan != null && author.karma >= condition.karmaLessThan) {
+    return false;
+  }
+
+  return true;
+};
+
+const flairHolds = (condition, postFlair) => {
+  const text = postFlair && postFlair.text;
+
+  if (!text) return Boolean(condition.missing);
+
+  return condition.anyOf.some(option => option.toLowerCase() === text.toLowerCase());
+};
+
+// Whether every condition of a rule matches; the cheap checks go first
+const ruleMatches = async (rule, item) => {
+  const { matches, author, postFlair } = rule.conditions;
+
+  if (!authorHolds(author, item.author, item.now)) return false;
+  if (postFlair && !flairHolds(postFlair, item.postFlair)) return false;
+
+  for (const match of matches) {
+    if (!await matchHolds(match, item)) return false;
+  }
+
+  return true;
+};
+
+const reasonFor = (rule) => rule.reason || `Automod: ${rule.name}`;
+
+// Run the community's rules against a new, unsaved post or comment and apply
+// what they decide to it. `post` is the post a comment is on. Resolves to
+// the outcome to pass to followUp once the item is saved, or null when no
+// rule fired.
+const screen = async ({ type, target, author, community, post }) => {
+  if (!community || moderation.isModerator(community, author._id)) return null;
+
+  const rules = await AutomodRule.find({
+    community: community.name,
+    enabled: true,
+    appliesTo: { $in: [type, 'all'] }
+  }).sort({ createdAt: 1, _id: 1 });
+
+  const item = {
+    type,
+    target,
+    author,
+    postFlair: type === 'post' ? target.flair : post && post.flair,
+    now: Date.now(),
+    regexDeadline: Date.now() + REGEX_BUDGET_MS
+  };
+
+  const fired = [];
+
+  for (const rule of rules) {
+    if (await ruleMatches(rule, item)) fired.push(rule);
+  }
+
+  if (fired.length === 0) return null;
+
+  const first = (test) => fired.find(test) || null;
+
+  const outcome = {
+    type,
+    target,
+    community,
+    post: type === 'post' ? target : post,
+    rules: fired,
+    remove: first(rule => rule.actions.remove),
+    filter: null,
+    lock: first(rule => rule.actions.lock),
+    flair: type === 'post'
+      ? first(rule => rule.actions.flairId && community.flairTemplates.id(rule.actions.flairId))
+      : null,
+    replies: fired.filter(rule => rule.actions.reply)
+  };
+
+  if (!outcome.remove) outcome.filter = first(rule => rule.actions.filter);
+
+  const now = new Date();
+  const hiddenBy = outcome.remove || outcome.filter;
+
+  if (hiddenBy) {
+    target.removed = true;
+    target.removedAt = now;
+    target.removalReason = reasonFor(hiddenBy);
+  }
+
+  // Filtered items wait in the mod queue; approving them restores them
+  if (outcome.filter) {
+    target.pendingReview = true;
+    target.queuedAt = now;
+  }
+
+  if (outcome.lock) target.locked = true;
+
+  if (outcome.flair) {
+    target.flair = flair.snapshot(community.flairTemplates.id(outcome.flair.actions.flairId));
+  }
+
+  return outcome;
+};
+
+// Post the automod reply to a post or comment
+const postReply = async ({ type, target, post, text }) => {
+  const bot = await getAutomodUser();
+  const parent = type === 'comment' ? target : null;
+  const path = parent ? [...parent.path, parent._id] : [];
+
+  const reply = await Comment.create({
+    content: text,
+    author: bot._id,
+    post: post._id,
+    community: post.community,
+    parentId: parent ? parent._id : null,
+    path,
+    depth: path.length
+  });
+
+  await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+
+  if (parent) {
+    await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+  }
+
+  await notifications.notifyReply({ comment: reply, post, parent });
+
+  return reply;
+};
+
+// Record the actions of a screened item in the mod log and post the reply;
+// call after the item is saved
+const followUp = async (outcome) => {
+  if (!outcome) return;
+
+  const { type, target, community, post } = outcome;
+  const kind = type === 'post' ? 'Post' : 'Comment';
+
+  const log = (rule, action, details = {}) => moderation.logAction({
+    community,
+    moderator: null,
+    action,
+    targetUser: target.author,
+    [type === 'post' ? 'targetPost' : 'targetComment']: target._id,
+    reason: reasonFor(rule),
+    details: { automod: true, ruleId: rule._id, ruleName: rule.name, ...details }
+  });
+
+  if (outcome.remove) await log(outcome.remove, `remove${kind}`);
+  if (outcome.filter) await log(outcome.filter, `filter${kind}`);
+  if (outcome.lock) await log(outcome.lock, `lock${kind}`);
+
+  if (outcome.flair) {
+    await log(outcome.flair, 'editPostFlair', { flair: target.flair && target.flair.text });
+  }
+
+  if (outcome.replies.length > 0) {
+    const reply = await postReply({
+      type,
+      target,
+      post,
+      text: outcome.replies.map(rule => rule.actions.reply).join('\n\n---\n\n')
+    });
+
+    await Promise.all(outcome.replies.map(rule => log(rule, 'automodReply', { replyId: reply._id })));
+  }
+};
+
+// Rules name post flair templates by id; make sure they exist
+const checkFlair = (community, actions) => {
+  const flairId = actions && actions.flairId;
+
+  if (!flairId) return;
+
+  const template = community.flairTemplates.id(flairId);
+
+  if (!template || template.type !== 'post') {
+    throw new BadRequestError('Flair not found');
+  }
+};
+
+const getRules = (community) => AutomodRule.find({ community: community.name })
+  .sort({ createdAt: 1, _id: 1 });
+
+const getRule = async (community, ruleId) => {
+  const rule = await AutomodRule.findOne({ _id: ruleId, community: community.name });
+
+  if (!rule) {
+    throw new NotFoundError('Automod rule not found');
+  }
+
+  return rule;
+};
+
+const createRule = async ({ community, moderator, fields }) => {
+  checkFlair(community, fields.actions);
+
+  const rule = await AutomodRule.create({
+    ...fields,
+    community: community.name,
+    createdBy: moderator._id
+  });
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: 'addAutomodRule',
+    details: { ruleId: rule._id, ruleName: rule.name }
+  });
+
+  return rule;
+};
+
+// `conditions` and `actions` are replaced as a whole when given
+const updateRule = async ({ community, moderator, ruleId, fields }) => {
+  const rule = await getRule(community, ruleId);
+
+  checkFlair(community, fields.actions);
+
+  rule.set(fields);
+  await rule.save();
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: 'editAutomodRule',
+    details: { ruleId: rule._id, ruleName: rule.name, changed: Object.keys(fields) }
+  });
+
+  return rule;
+};
+
+const deleteRule = async ({ community, moderator, ruleId }) => {
+  const rule = await getRule(community, ruleId);
+
+  await rule.deleteOne();
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: 'deleteAutomodRule',
+    details: { ruleId: rule._id, ruleName: rule.name }
+  });
+};
+
+module.exports = {
+  DEFAULT_USERNAME,
+  REGEX_BUDGET_MS,
+  getUsername,
+  getAutomodUser,
+  ruleMatches,
+  screen,
+  followUp,
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -0,0 +1,52 @@
+
+const Ban = require('../models/Ban');
+const { ForbiddenError } = require('../utils/errors');
+
+// Community bans.
+//
+// A ban keeps a user from posting, commenting, voting and joining in one
+// community, either permanently or until `expiresAt`.
+
+const activeFilter = (now = new Date()) => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+// The user's active ban in a community, if any
+const getActiveBan = (community, userId) => {
+  if (!community || !userId) return null;
+
+  return Ban.findOne({ community, user: userId, ...activeFilter() });
+};
+
+// What a banned user is told about their ban
+const describeBan = (ban) => ({
+  community: ban.community,
+  expiresAt: ban.expiresAt,
+  note: ban.note
+});
+
+const banMessage = (ban) => (ban.expiresAt
+  ? `You are banned from r/${ban.community} until ${ban.expiresAt.toISOString()}`
+  : `You are banned from r/${ban.community}`);
+
+// The error telling a user about their ban
+const bannedError = (ban) => new ForbiddenError(banMessage(ban), {
+  code: 'BANNED',
+  details: { ban: describeBan(ban) }
+});
+
+// Reject with a 403 error when the user is banned from the community
+const assertNotBanned = async (community, userId) => {
+  const ban = await getActiveBan(community, userId);
+
+  if (ban) throw bannedError(ban);
+};
+
+module.exports = {
+  activeFilter,
+  getActiveBan,
+  describeBan,
+  banMessage,
+  bannedError,
+  assertNotBanned
+};
@@ -0,0 +1,137 @@
+
+const Bookmark = require('../models/Bookmark');
+const visibility = require('./visibility');
+const { paginate } = require('../utils/pagination');
+
+// Saved and hidden posts and comments.
+//
+// Both lists are private to the user. Hidden posts are left out of that
+// user's feeds; saved and hidden flags are added to content shown to them.
+
+const LISTS = ['saved', 'hidden'];
+const TYPES = ['post', 'comment'];
+
+// Add an item to one of the user's lists; adding it twice is a no-op
+const add = async (list, type, targetId, userId) => {
+  const filter = { user: userId, list, [type]: targetId };
+
+  try {
+    await Bookmark.updateOne(filter, { $setOnInsert: filter }, { upsert: true });
+  } catch (err) {
+    // A concurrent request already added it
+    if (err.code !== 11000) throw err;
+  }
+};
+
+const remove = (list, type, targetId, userId) =>
+  Bookmark.deleteOne({ user: userId, list, [type]: targetId });
+
+// Ids of the posts the user has hidden, to leave out of their feeds
+const hiddenPostIds = async (userId) => {
+  if (!userId) return [];
+
+  return Bookmark.find({ user: userId, list: 'hidden', post: { $exists: true } }).distinct('post');
+};
+
+// Add a hidden-post exclusion to a feed filter
+const excludeHidden = async (filter, userId) => {
+  const hidden = await hiddenPostIds(userId);
+
+  return hidden.length > 0 ? { ...filter, _id: { $nin: hidden } } : filter;
+};
+
+// A page of the user's saved or hidden items, most recently added first.
+// `type` is post, comment or all.
+const getList = (list, userId, { type = 'all', after, before, limit } = {}) => {
+  const filter = { user: userId, list };
+
+  if (type === 'post' || type === 'comment') {
+    filter[type] = { $exists: true };
+  }
+
+  const query = Bookmark.find(filter)
+    .populate({
+      path: 'post',
+      populate: [
+        { path: 'author', select: 'username' },
+        { path: 'media', select: 'url mimeType width height' }
+      ]
+    })
+    .populate({
+      path: 'comment',
+      populate: [
+        { path: 'author', select: 'username' },
+        { path: 'post', select: 'title community' }
+      ]
+    })
+    .lean()
+    .transform(docs => docs.map(doc => ({
+      _id: doc._id,
+      type: doc.post !== undefined ? 'post' : 'comment',
+      post: doc.post && visibility.maskRemoved(doc.post, { viewerId: userId }),
+      comment: doc.comment && visibility.maskRemoved(doc.comment, { viewerId: userId }),
+      createdAt: doc.createdAt
+    })));
+
+  return paginate(query, { createdAt: -1, _id: -1 }, { after, before, limit });
+};
+
+const toPlain = (item) => (typeof item.toJSON === 'function' ? item.toJSON() : item);
+
+// Add `saved` and `hidden` flags to posts or comments shown to a user.
+// Nested comment replies are flagged too. Returns plain objects; items are
+// returned untouched for anonymous requests.
+const flagItems = async (type, items, userId) => {
+  if (!userId || items.length === 0) return items;
+
+  const plain = items.map(toPlain);
+  const ids = [];
+
+  const collect = (item) => {
+    if (item._id && item.type !== 'more') ids.push(item._id);
+    (item.replies || []).forEach(collect);
+  };
+
+  plain.forEach(collect);
+
+  const bookmarks = await Bookmark.find({ user: userId, [type]: { $in: ids } })
+    .select(`list ${type}`)
+    .lean();
+
+  const lists = new Map();
+
+  bookmarks.forEach(bookmark => {
+    const key = bookmark[type].toString();
+    if (!lists.has(key)) lists.set(key, new Set());
+    lists.get(key).add(bookmark.list);
+  });
+
+  const flag = (item) => {
+    if (!item._id || item.type === 'more') return;
+
+    const found = lists.get(item._id.toString());
+    item.saved = Boolean(found && found.has('saved'));
+    item.hidden = Boolean(found && found.has('hidden'));
+
+    (item.replies || []).forEach(flag);
+  };
+
+  plain.forEach(flag);
+
+  return plain;
+};
+
+// Same as flagItems for a single item
+const flagItem = async (type, item, userId) => (await flagItems(type, [item], userId))[0];
+
+module.exports = {
+  LISTS,
+  TYPES,
+  add,
+  remove,
+  hiddenPostIds,
+  excludeHidden,
+  getList,
+  flagItems,
+  flagItem
+};
@@ -0,0 +1,138 @@
+
+const Comment = require('../models/Comment');
+const visibility = require('./visibility');
+const ranking = require('../utils/ranking');
+const { paginate, parseLimit, encodeCursor } = require('../utils/pagination');
+
+// Comment tree loading.
+//
+// Comments store their ancestry in `path`, so a whole subtree can be fetched
+// with one query on the path index instead of one query per comment. A tree is
+// loaded as a page of roots plus as many of their descendants as the limit
+// allows, best first. Replies that don't fit are replaced by "more" stubs the
+// client can expand through the children endpoint. Removed comments keep their
+// place but are masked for viewers who aren't allowed to see them.
+
+const DEFAULT_DEPTH = 8;
+const MAX_DEPTH = 10;
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 500;
+
+// Roots are paginated separately and never take the whole budget
+const MAX_ROOTS = 100;
+
+const parseDepth = (depth) => {
+  const parsed = parseInt(depth, 10);
+
+  if (Number.isNaN(parsed) || parsed < 1) return DEFAULT_DEPTH;
+
+  return Math.min(parsed, MAX_DEPTH);
+};
+
+const moreStub = (node, count, cursor) => ({
+  type: 'more',
+  parentId: node._id,
+  depth: node.depth + 1,
+  count,
+  cursor
+});
+
+// Nest loaded comments under their parents and add "more" stubs wherever
+// replies were left out
+const assemble = (roots, descendants, lastDepth, sortKeys) => {
+  const nodes = new Map();
+
+  [...roots, ...descendants].forEach(comment => {
+    comment.replies = [];
+    nodes.set(comment._id.toString(), comment);
+  });
+
+  // Descendants arrive in sort order, so each parent's replies stay sorted.
+  // Replies whose parent didn't make the cut are dropped and show up in the
+  // parent's stub instead.
+  descendants.forEach(comment => {
+    const parent = comment.parentId && nodes.get(comment.parentId.toString());
+
+    if (parent) parent.replies.push(comment);
+  });
+
+  const addStubs = (node) => {
+    node.replies.forEach(addStubs);
+
+    const missing = node.replyCount - node.replies.length;
+
+    if (missing <= 0) return;
+
+    if (node.depth >= lastDepth) {
+      node.replies.push({ ...moreStub(node, missing, null), continueThread: true });
+      return;
+    }
+
+    // Loaded replies are always a prefix of the parent's replies in sort
+    // order, so the last one is where the next page starts
+    const last = node.replies[node.replies.length - 1];
+    node.replies.push(moreStub(node, missing, last ? encodeCursor(last, sortKeys) : null));
+  };
+
+  roots.forEach(addStubs);
+
+  return roots;
+};
+
+// Load a page of comments with their replies.
+//
+// Loads the top-level comments of `postId`, or the replies of `parent` when
+// one is given. `depth` counts levels including the roots and `limit` caps the
+// total number of comments returned.
+const loadTree = async ({ postId, parent = null, sort, depth, limit, after, before, viewer = {} }) => {
+  const sortSpec = ranking.getCommentSort(sort);
+  const sortKeys = Object.keys(sortSpec);
+  const maxDepth = parseDepth(depth);
+  const total = parseLimit(limit, DEFAULT_LIMIT, MAX_LIMIT);
+
+  const rootFilter = parent
+    ? { post: parent.post, parentId: parent._id }
+    : { post: postId, parentId: null };
+  const rootDepth = parent ? parent.depth + 1 : 0;
+  const lastDepth = rootDepth + maxDepth - 1;
+
+  const rootQuery = Comment.find(rootFilter)
+    .populate('author', 'username')
+    .lean();
+
+  const page = await paginate(rootQuery, sortSpec, {
+    after,
+    before,
+    limit: Math.min(total, MAX_ROOTS)
+  });
+
+  const roots = page.items;
+  const budget = total - roots.length;
+  let descendants = [];
+
+  if (budget > 0 && roots.length > 0 && lastDepth > rootDepth) {
+    descendants = await Comment.find({
+      path: { $in: roots.map(root => root._id) },
+      depth: { $lte: lastDepth }
+    })
+      .sort(sortSpec)
+      .limit(budget)
+      .populate('author', 'username')
+      .lean();
+  }
+
+  const mask = (comment) => visibility.maskRemoved(comment, viewer);
+
+  return {
+    ...page,
+    items: assemble(roots.map(mask), descendants.map(mask), lastDepth, sortKeys)
+  };
+};
+
+module.exports = {
+  DEFAULT_DEPTH,
+  MAX_DEPTH,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  loadTree
+};
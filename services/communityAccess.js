@@ -0,0 +1,361 @@
+
+const Community = require('../models/Community');
+const CommunityInvite = require('../models/CommunityInvite');
+const JoinRequest = require('../models/JoinRequest');
+const membership = require('./membership');
+const moderation = require('./moderation');
+const { paginate } = require('../utils/pagination');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Who can see and post in a community.
+//
+// Public communities are open to everyone. Restricted communities can be
+// read by anyone, but only moderators and approved submitters can post.
+// Private communities are only visible to their members; people get in by
+// asking to join and being approved, or by accepting a moderator's invite.
+// Moderators can always view and post.
+
+const TYPES = ['public', 'restricted', 'private'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const includesUser = (list, userId) => Boolean(list && userId) &&
+  list.some(id => idOf(id).toString() === idOf(userId).toString());
+
+const isMember = (community, userId) => includesUser(community.members, userId);
+
+const canView = (community, userId) => community.type !== 'private' ||
+  isMember(community, userId) ||
+  moderation.isModerator(community, userId);
+
+const canPost = (community, userId) => {
+  if (moderation.isModerator(community, userId)) return true;
+
+  if (community.type === 'restricted') return includesUser(community.approvedSubmitters, userId);
+  if (community.type === 'private') return isMember(community, userId);
+
+  return true;
+};
+
+// What outsiders get to see of a private community
+const preview = (community) => ({
+  name: community.name,
+  type: community.type,
+  description: community.description,
+  memberCount: community.memberCount,
+  icon: community.icon,
+  banner: community.banner
+});
+
+const privateError = (community) => new ForbiddenError(`r/${community.name} is private; only members can view it`, {
+  code: 'PRIVATE_COMMUNITY',
+  details: { community: preview(community) }
+});
+
+const assertCanView = (community, userId) => {
+  if (!canView(community, userId)) throw privateError(community);
+};
+
+const assertCanPost = (community, userId) => {
+  if (canPost(community, userId)) return;
+
+  if (community.type === 'private') throw privateError(community);
+
+  throw new ForbiddenError(`Only approved users can post in r/${community.name}`, {
+    code: 'NOT_APPROVED_SUBMITTER'
+  });
+};
+
+// Same as assertCanView, looking the community up by name without loading
+// its member list. Resolves to the community, or null when there is none.
+const assertCanViewByName = async (name, userId) => {
+  const community = await Community.findOne({ name }).select('-members -approvedSubmitters');
+
+  if (!community || community.type !== 'private' || moderation.isModerator(community, userId)) {
+    return community;
+  }
+
+  if (userId && await Community.exists({ _id: community._id, members: userId })) {
+    return community;
+  }
+
+  throw privateError(community);
+};
+
+// Names of the private communities a user can't see
+const hiddenCommunities = (userId) => {
+  const filter = { type: 'private' };
+
+  if (userId) {
+    filter.members = { $ne: userId };
+    filter.moderators = { $ne: userId };
+  }
+
+  return Community.find(filter).distinct('name');
+};
+
+// Keep posts and comments from private communities the viewer can't see out
+// of a listing filter
+const excludePrivate = async (filter, userId) => {
+  const hidden = await hiddenCommunities(userId);
+
+  if (hidden.length === 0) return filter;
+
+  const current = filter.community;
+
+  if (typeof current === 'string') {
+    return hidden.includes(current) ? { ...filter, community: { $in: [] } } : filter;
+  }
+
+  return { ...filter, community: { ...current, $nin: hidden } };
+};
+
+const requireType = (community, type, message) => {
+  if (community.type !== type) throw new BadRequestError(message);
+};
+
+// Join a community. Private communities can only be joined with an invite,
+// which joining accepts. Resolves to false when the user was already a member.
+const join = async (community, userId) => {
+  if (community.type !== 'private' || moderation.isModerator(community, userId)) {
+    return membership.join(community, userId);
+  }
+
+  if (isMember(community, userId)) return false;
+
+  if (!await acceptInvite(community, userId)) {
+    throw new ForbiddenError(`r/${community.name} is private; ask its moderators to join`, {
+      code: 'PRIVATE_COMMUNITY',
+      details: { community: preview(community) }
+    });
+  }
+
+  return true;
+};
+
+// Ask to join a private community. Asking again after a denial reopens the
+// request.
+const requestToJoin = async (community, userId, message) => {
+  requireType(community, 'private', 'Only private communities take join requests; join it directly instead');
+
+  if (isMember(community, userId)) {
+    throw new ConflictError('Already a member of this community');
+  }
+
+  const existing = await JoinRequest.findOne({ community: community.name, user: userId }).select('status');
+
+  if (existing && existing.status === 'pending') {
+    throw new ConflictError('You have already asked to join this community');
+  }
+
+  return JoinRequest.findOneAndUpdate(
+    { community: community.name, user: userId },
+    {
+      $set: { message, status: 'pending' },
+      $unset: { reviewedBy: '', reviewedAt: '' }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// A page of a community's join requests, pending ones by default
+const getJoinRequests = (community, { status = 'pending', after, before, limit } = {}) => {
+  const query = JoinRequest.find({ community: community.name, status })
+    .populate('user', 'username karma createdAt')
+    .populate('reviewedBy', 'username');
+
+  return paginate(query, { createdAt: -1, _id: -1 }, { after, before, limit });
+};
+
+// Approve or deny a pending join request
+const reviewJoinRequest = async ({ community, requestId, moderator, approve }) => {
+  const request = await JoinRequest.findOne({ _id: requestId, community: community.name });
+
+  if (!request) {
+    throw new NotFoundError('Join request not found');
+  }
+
+  if (request.status !== 'pending') {
+    throw new ConflictError(`This request was already ${request.status}`);
+  }
+
+  request.status = approve ? 'approved' : 'denied';
+  request.reviewedBy = moderator._id;
+  request.reviewedAt = new Date();
+
+  await request.save();
+
+  if (approve) {
+    await membership.join(community, request.user);
+    await CommunityInvite.deleteOne({ community: community.name, user: request.user });
+  }
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: approve ? 'approveJoinRequest' : 'denyJoinRequest',
+    targetUser: request.user
+  });
+
+  return request;
+};
+
+// Invite a user to a private community
+const invite = async ({ community, user, moderator }) => {
+  requireType(community, 'private', 'Only private communities take invites');
+
+  if (isMember(community, user._id)) {
+    throw new ConflictError('User is already a member of this community');
+  }
+
+  let created;
+
+  try {
+    created = await CommunityInvite.create({
+      community: community.name,
+      user: user._id,
+      invitedBy: moderator._id
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ConflictError('User has already been invited');
+    }
+    throw err;
+  }
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: 'inviteUser',
+    targetUser: user
+  });
+
+  return created;
+};
+
+const revokeInvite = async ({ community, userId, moderator }) => {
+  const removed = await CommunityInvite.findOneAndDelete({ community: community.name, user: userId });
+
+  if (!removed) {
+    throw new NotFoundError('Invite not found');
+  }
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: 'revokeInvite',
+    targetUser: userId
+  });
+};
+
+// Accept a pending invite and join; resolves to false without one
+const acceptInvite = async (community, userId) => {
+  const accepted = await CommunityInvite.findOneAndDelete({ community: community.name, user: userId });
+
+  if (!accepted) return false;
+
+  // An invite also settles any request the user made in the meantime
+  await JoinRequest.updateOne(
+    { community: community.name, user: userId, status: 'pending' },
+    { $set: { status: 'approved', reviewedBy: accepted.invitedBy, reviewedAt: new Date() } }
+  );
+
+  await membership.join(community, userId);
+
+  return true;
+};
+
+// Resolves to false when there was no invite to decline
+const declineInvite = async (community, userId) => {
+  const declined = await CommunityInvite.findOneAndDelete({ community: community.name, user: userId });
+  return Boolean(declined);
+};
+
+// A page of the invites a community has sent
+const getInvites = (community, { after, before, limit } = {}) => {
+  const query = CommunityInvite.find({ community: community.name })
+    .populate('user', 'username')
+    .populate('invitedBy', 'username');
+
+  return paginate(query, { createdAt: -1, _id: -1 }, { after, before, limit });
+};
+
+// A page of the invites a user has received
+const getInvitesFor = (userId, { after, before, limit } = {}) => {
+  const query = CommunityInvite.find({ user: userId })
+    .populate('invitedBy', 'username');
+
+  return paginate(query, { createdAt: -1, _id: -1 }, { after, before, limit });
+};
+
+// Approved submitters can post in restricted communities. The list can be
+// kept for any type, so it survives switching a community's type.
+const getApprovedSubmitters = async (community) => {
+  const found = await Community.findById(community._id)
+    .select('approvedSubmitters')
+    .populate('approvedSubmitters', 'username');
+
+  return found.approvedSubmitters;
+};
+
+const addApprovedSubmitter = async ({ community, user, moderator }) => {
+  const result = await Community.updateOne(
+    { _id: community._id, approvedSubmitters: { $ne: user._id } },
+    { $push: { approvedSubmitters: user._id } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new ConflictError('User is already an approved submitter');
+  }
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: 'addApprovedSubmitter',
+    targetUser: user
+  });
+};
+
+const removeApprovedSubmitter = async ({ community, user, moderator }) => {
+  const result = await Community.updateOne(
+    { _id: community._id, approvedSubmitters: user._id },
+    { $pull: { approvedSubmitters: user._id } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new NotFoundError('User is not an approved submitter');
+  }
+
+  await moderation.logAction({
+    community,
+    moderator,
+    action: 'removeApprovedSubmitter',
+    targetUser: user
+  });
+};
+
+module.exports = {
+  TYPES,
+  isMember,
+  canView,
+  canPost,
+  preview,
+  assertCanView,
+  assertCanViewByName,
+  assertCanPost,
+  hiddenCommunities,
+  excludePrivate,
+  join,
+  requestToJoin,
+  getJoinRequests,
+  reviewJoinRequest,
+  invite,
+  revokeInvite,
+  acceptInvite,
+  declineInvite,
+  getInvites,
+  getInvitesFor,
+  getApprovedSubmitters,
+  addApprovedSubmitter,
+  removeApprovedSubmitter
+};
@@ -0,0 +1,140 @@
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Media = require('../models/Media');
+const PollBallot = require('../models/PollBallot');
+const Revision = require('../models/Revision');
+const Vote = require('../models/Vote');
+const markdown = require('../utils/markdown');
+
+// Soft deletion of posts and comments.
+//
+// Deleted content keeps its place so replies stay attached, but the body is
+// replaced with a placeholder, the author is disassociated and the edit
+// history is dropped. Link, image and poll posts also lose their URL, image
+// or poll, along with the poll's ballots and the image unless another post
+// still uses it. `commentCount` on a post counts live comments only, so it
+// drops when a comment is deleted and is left alone when the purge later
+// removes it for good.
+
+const DELETED_PLACEHOLDER = '[deleted]';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const deletedFields = () => ({
+  deleted: true,
+  deletedAt: new Date(),
+  content: DELETED_PLACEHOLDER,
+  contentHtml: markdown.render(DELETED_PLACEHOLDER),
+  renderVersion: markdown.RENDERER_VERSION,
+  author: null,
+  authorFlair: null
+});
+
+// The bodies of link, image and poll posts
+const POST_BODY_FIELDS = {
+  url: '',
+  domain: '',
+  linkMeta: '',
+  media: '',
+  poll: ''
+};
+
+// Resolves to false when the comment was already deleted
+const deleteComment = async (comment) => {
+  const result = await Comment.updateOne(
+    { _id: comment._id, deleted: { $ne: true } },
+    { $set: deletedFields() }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  await Revision.deleteMany({ comment: comment._id });
+
+  await Post.updateOne(
+    { _id: comment.post, commentCount: { $gt: 0 } },
+    { $inc: { commentCount: -1 } }
+  );
+
+  return true;
+};
+
+// Resolves to false when the post was already deleted
+const deletePost = async (post) => {
+  const previous = await Post.findOneAndUpdate(
+    { _id: post._id, deleted: { $ne: true } },
+    { $set: deletedFields(), $unset: POST_BODY_FIELDS },
+    { new: false, projection: 'media' }
+  );
+
+  if (!previous) return false;
+
+  await Revision.deleteMany({ post: post._id });
+  await PollBallot.deleteMany({ post: post._id });
+
+  if (previous.media && !await Post.exists({ media: previous.media })) {
+    await Media.deleteOne({ _id: previous.media });
+  }
+
+  return true;
+};
+
+// Hard-remove deleted comments without replies once they are older than the
+// retention period. Removing a leaf can turn its deleted parent into a leaf,
+// so this repeats until nothing is left to remove. Resolves to the number of
+// comments removed.
+const purgeDeletedComments = async ({ retentionDays = DEFAULT_RETENTION_DAYS, batchSize = 500 } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (;;) {
+    const leaves = await Comment.find({
+      deleted: true,
+      deletedAt: { $lte: cutoff },
+      replyCount: { $lte: 0 }
+    })
+      .select('parentId')
+      .limit(batchSize)
+      .lean();
+
+    if (leaves.length === 0) break;
+
+    // Delete one by one so a leaf that got a reply in the meantime, or that
+    // an overlapping run already removed, doesn't touch its parent's count
+    const removed = [];
+
+    for (const leaf of leaves) {
+      const deleted = await Comment.findOneAndDelete({ _id: leaf._id, replyCount: { $lte: 0 } });
+      if (deleted) removed.push(leaf);
+    }
+
+    if (removed.length === 0) break;
+
+    await Vote.deleteMany({ comment: { $in: removed.map(leaf => leaf._id) } });
+
+    const parentOps = removed
+      .filter(leaf => leaf.parentId)
+      .map(leaf => ({
+        updateOne: {
+          filter: { _id: leaf.parentId },
+          update: { $inc: { replyCount: -1 } }
+        }
+      }));
+
+    if (parentOps.length > 0) {
+      await Comment.bulkWrite(parentOps, { ordered: false });
+    }
+
+    purged += removed.length;
+  }
+
+  return purged;
+};
+
+module.exports = {
+  DELETED_PLACEHOLDER,
+  DEFAULT_RETENTION_DAYS,
+  deleteComment,
+  deletePost,
+  purgeDeletedComments
+};
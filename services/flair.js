@@ -0,0 +1,159 @@
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const UserFlair = require('../models/UserFlair');
+const moderation = require('./moderation');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Post and user flair.
+//
+// Moderators keep a list of flair templates on the community. Posts and
+// users get a copy of the template they picked, so later template edits don't
+// rewrite history. A user's flair is also copied onto their posts and
+// comments in the community so listings can show it without a lookup.
+
+// Copy of a template, or of a stored user flair, to put on content
+const snapshot = (flair, templateId = flair._id) => ({
+  templateId,
+  text: flair.text,
+  textColor: flair.textColor,
+  backgroundColor: flair.backgroundColor
+});
+
+// Find a template the actor is allowed to apply
+const resolveTemplate = (community, flairId, { type, moderator = false }) => {
+  const template = community.flairTemplates.id(flairId);
+
+  if (!template || template.type !== type) {
+    throw new NotFoundError('Flair not found');
+  }
+
+  if (template.modOnly && !moderator) {
+    throw new ForbiddenError('This flair can only be set by moderators');
+  }
+
+  return template;
+};
+
+// Flair to store on a new post; null when no flair was picked
+const postFlairFor = (community, flairId, user) => {
+  if (!flairId) return null;
+
+  const template = resolveTemplate(community, flairId, {
+    type: 'post',
+    moderator: moderation.isModerator(community, user._id)
+  });
+
+  return snapshot(template);
+};
+
+// Set or clear (flairId null) a post's flair. Authors pick from the
+// templates; moderators can also use mod-only flair on anyone's post.
+const setPostFlair = async ({ post, community, user, flairId }) => {
+  const isAuthor = post.author && post.author.toString() === user._id.toString();
+  const isMod = moderation.isModerator(community, user._id);
+
+  if (!isAuthor && !isMod) {
+    throw new ForbiddenError('Not authorized to change the flair of this post');
+  }
+
+  const flair = flairId
+    ? snapshot(resolveTemplate(community, flairId, { type: 'post', moderator: isMod }))
+    : null;
+
+  const updated = await Post.findByIdAndUpdate(
+    post._id,
+    flair ? { $set: { flair } } : { $unset: { flair: '' } },
+    { new: true }
+  ).populate('author', 'username');
+
+  if (!isAuthor) {
+    await moderation.logAction({
+      community,
+      moderator: user,
+      action: 'editPostFlair',
+      targetUser: post.author,
+      targetPost: post._id,
+      details: { flair: flair ? flair.text : null }
+    });
+  }
+
+  return updated;
+};
+
+// A user's current flair in a community, as copied onto new content
+const getUserFlair = async (communityName, userId) => {
+  const flair = await UserFlair.findOne({ community: communityName, user: userId });
+  return flair ? snapshot(flair, flair.templateId) : null;
+};
+
+// Copy a user's flair onto everything they posted in the community
+const syncAuthorFlair = async (communityName, userId, flair) => {
+  const update = flair ? { $set: { authorFlair: flair } } : { $unset: { authorFlair: '' } };
+  const filter = { community: communityName, author: userId };
+
+  await Promise.all([
+    Post.updateMany(filter, update),
+    Comment.updateMany(filter, update)
+  ]);
+};
+
+// Set or clear a user's flair in a community. Users pick from the user flair
+// templates for themselves; moderators can set any template or custom flair
+// for anyone.
+const setUserFlair = async ({ community, target, actor, flairId, text, textColor, backgroundColor }) => {
+  const isSelf = target._id.toString() === actor._id.toString();
+  const isMod = moderation.isModerator(community, actor._id);
+
+  if (!isSelf && !isMod) {
+    throw new ForbiddenError('Only moderators can set flair for other users');
+  }
+
+  let fields = null;
+
+  if (flairId) {
+    fields = snapshot(resolveTemplate(community, flairId, { type: 'user', moderator: isMod }));
+  } else if (text) {
+    if (!isMod) {
+      throw new ForbiddenError('Only moderators can set custom flair');
+    }
+    fields = { text, textColor: textColor || 'dark', backgroundColor };
+  }
+
+  const filter = { community: community.name, user: target._id };
+  let flair = null;
+
+  // Replace rather than update so no stale template or colors linger
+  if (fields) {
+    flair = await UserFlair.findOneAndReplace(
+      filter,
+      { ...filter, ...fields, setBy: actor._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+  } else {
+    await UserFlair.deleteOne(filter);
+  }
+
+  await syncAuthorFlair(community.name, target._id, flair && snapshot(flair, flair.templateId));
+
+  if (!isSelf) {
+    await moderation.logAction({
+      community,
+      moderator: actor,
+      action: 'editUserFlair',
+      targetUser: target._id,
+      details: { flair: flair ? flair.text : null }
+    });
+  }
+
+  return flair;
+};
+
+module.exports = {
+  snapshot,
+  resolveTemplate,
+  postFlairFor,
+  setPostFlair,
+  getUserFlair,
+  setUserFlair
+};
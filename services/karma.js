@@ -0,0 +1,162 @@
+
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const CommunityKarma = require('../models/CommunityKarma');
+
+// Karma bookkeeping.
+//
+// Every vote change is applied to the author's totals as a delta, split into
+// post and comment karma and tracked per community. `reconcile` rebuilds the
+// same numbers from the vote counts on posts and comments to repair drift.
+
+const FIELDS = {
+  post: 'postKarma',
+  comment: 'commentKarma'
+};
+
+// Two first votes at once can both try to insert the user's entry for a
+// community; the one that loses retries as a plain update
+const incrementCommunityKarma = async (filter, inc) => {
+  try {
+    await CommunityKarma.updateOne(filter, { $inc: inc }, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    await CommunityKarma.updateOne(filter, { $inc: inc }, { upsert: true });
+  }
+};
+
+// Apply a vote change of `delta` on a post or comment to its author's karma
+const applyVote = async ({ author, community, type, delta }) => {
+  if (!delta) return;
+
+  const field = FIELDS[type];
+  const updates = [
+    User.updateOne({ _id: author }, { $inc: { karma: delta, [field]: delta } })
+  ];
+
+  if (community) {
+    updates.push(incrementCommunityKarma({ user: author, community }, { karma: delta, [field]: delta }));
+  }
+
+  await Promise.all(updates);
+};
+
+// A user's karma split by community, highest first
+const getCommunityBreakdown = (userId, limit = 10) => CommunityKarma.find({ user: userId })
+  .sort({ karma: -1 })
+  .limit(limit)
+  .select('-_id community karma postKarma commentKarma')
+  .lean();
+
+const netVotes = { $sum: { $subtract: ['$upvotes', '$downvotes'] } };
+
+// Sum the net votes on a user's posts and comments per community
+const collectTotals = async (match) => {
+  const [posts, comments] = await Promise.all([
+    Post.aggregate([
+      { $match: match },
+      { $group: { _id: { author: '$author', community: '$community' }, karma: netVotes } }
+    ]),
+    Comment.aggregate([
+      { $match: match },
+      { $lookup: { from: 'posts', localField: 'post', foreignField: '_id', as: 'parentPost' } },
+      { $unwind: { path: '$parentPost', preserveNullAndEmptyArrays: true } },
+      { $group: { _id: { author: '$author', community: '$parentPost.community' }, karma: netVotes } }
+    ])
+  ]);
+
+  const totals = new Map();
+
+  const add = (rows, field) => {
+    rows.forEach(({ _id, karma }) => {
+      const key = _id.author.toString();
+
+      if (!totals.has(key)) {
+        totals.set(key, { user: _id.author, postKarma: 0, commentKarma: 0, communities: new Map() });
+      }
+
+      const entry = totals.get(key);
+      entry[field] += karma;
+
+      if (_id.community) {
+        if (!entry.communities.has(_id.community)) {
+          entry.communities.set(_id.community, { postKarma: 0, commentKarma: 0 });
+        }
+        entry.communities.get(_id.community)[field] += karma;
+      }
+    });
+  };
+
+  add(posts, 'postKarma');
+  add(comments, 'commentKarma');
+
+  return totals;
+};
+
+// Rebuild karma totals from source data, for one user or for everyone.
+// Votes landing while this runs can be lost, so run it when traffic is low.
+// Resolves to the number of users whose totals had drifted.
+const reconcile = async ({ userId } = {}) => {
+  const match = userId ? { author: userId } : {};
+  const totals = await collectTotals(match);
+
+  const userOps = [];
+  const ledger = [];
+
+  totals.forEach(entry => {
+    const postKarma = entry.postKarma;
+    const commentKarma = entry.commentKarma;
+
+    userOps.push({
+      updateOne: {
+        filter: { _id: entry.user },
+        update: { $set: { karma: postKarma + commentKarma, postKarma, commentKarma } }
+      }
+    });
+
+    entry.communities.forEach((karma, community) => {
+      ledger.push({
+        user: entry.user,
+        community,
+        karma: karma.postKarma + karma.commentKarma,
+        postKarma: karma.postKarma,
+        commentKarma: karma.commentKarma
+      });
+    });
+  });
+
+  let drifted = 0;
+
+  if (userOps.length > 0) {
+    const result = await User.bulkWrite(userOps, { ordered: false });
+    drifted += result.modifiedCount;
+  }
+
+  // Users with no posts or comments left have no karma
+  const zeroFilter = userId
+    ? { _id: userId, $or: [{ karma: { $ne: 0 } }, { postKarma: { $ne: 0 } }, { commentKarma: { $ne: 0 } }] }
+    : {
+      _id: { $nin: [...totals.values()].map(entry => entry.user) },
+      $or: [{ karma: { $ne: 0 } }, { postKarma: { $ne: 0 } }, { commentKarma: { $ne: 0 } }]
+    };
+
+  if (!userId || !totals.has(userId.toString())) {
+    const result = await User.updateMany(zeroFilter, { $set: { karma: 0, postKarma: 0, commentKarma: 0 } });
+    drifted += result.modifiedCount;
+  }
+
+  await CommunityKarma.deleteMany(userId ? { user: userId } : {});
+
+  if (ledger.length > 0) {
+    await CommunityKarma.insertMany(ledger, { ordered: false });
+  }
+
+  return drifted;
+};
+
+module.exports = {
+  applyVote,
+  getCommunityBreakdown,
+  reconcile
+};
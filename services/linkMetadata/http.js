@@ -0,0 +1,190 @@
+
+const dns = require('dns').promises;
+const net = require('net');
+
+// Link metadata fetcher that reads Open Graph tags, falling back to the
+// page's <title> and meta description. LINK_METADATA_TIMEOUT_MS bounds the
+// request (default 5000) and only the start of the page is read.
+//
+// URLs come from users, so every hop, redirects included, has to resolve to
+// public addresses; anything on this machine or a private network is refused.
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and
+// multicast ranges. The families are kept apart since a BlockList also
+// matches IPv4 addresses against mapped IPv6 ranges.
+const BLOCKED_V4 = new net.BlockList();
+const BLOCKED_V6 = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_V4.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 127],
+  // IPv4-mapped and NAT64 addresses could point anywhere in the ranges above
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_V6.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => (net.isIPv4(address)
+  ? !BLOCKED_V4.check(address, 'ipv4')
+  : !BLOCKED_V6.check(address, 'ipv6'));
+
+// Resolve the URL's host and make sure it is only reachable at public addresses
+const assertPublicUrl = async (url) => {
+  const { protocol, hostname } = new URL(url);
+
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error(`Refusing to fetch a ${protocol} URL`);
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true, verbatim: true });
+
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`Refusing to fetch ${hostname}: not a public address`);
+  }
+};
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  '#39': '\''
+};
+
+const decodeEntities = (text) => text.replace(/&(#?\w+);/g, (match, name) => {
+  if (ENTITIES[name]) return ENTITIES[name];
+  if (/^#\d+$/.test(name)) return String.fromCodePoint(parseInt(name.slice(1), 10));
+  if (/^#x[0-9a-f]+$/i.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+  return match;
+});
+
+const clean = (text) => (text ? decodeEntities(text).replace(/\s+/g, ' ').trim() : undefined);
+
+// Read attributes off a single tag like <meta property="og:title" content="...">
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5];
+  }
+
+  return attributes;
+};
+
+const parseHtml = (html, baseUrl) => {
+  const meta = {};
+
+  (html.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+
+    if (key && attributes.content !== undefined && !(key in meta)) {
+      meta[key] = attributes.content;
+    }
+  });
+
+  const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+  let thumbnail = meta['og:image'] || meta['twitter:image'];
+
+  if (thumbnail) {
+    try {
+      thumbnail = new URL(thumbnail, baseUrl).toString();
+    } catch (err) {
+      thumbnail = undefined;
+    }
+  }
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1])),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description),
+    thumbnail: thumbnail && /^https?:/.test(thumbnail) ? thumbnail : undefined
+  };
+};
+
+// Read the response body up to MAX_BYTES
+const readStart = async (response) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size < MAX_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+
+  reader.cancel().catch(() => {});
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const fetchMetadata = async (url) => {
+  const timeout = parseInt(process.env.LINK_METADATA_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+  const signal = AbortSignal.timeout(timeout);
+  let current = url;
+  let response;
+
+  // Redirects are followed by hand so each hop is checked before it is fetched
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(current);
+
+    response = await fetch(current, {
+      redirect: 'manual',
+      signal,
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; LinkPreviewBot/1.0)', Accept: 'text/html' }
+    });
+
+    const location = response.headers.get('location');
+
+    if (response.status < 300 || response.status >= 400 || !location) break;
+
+    if (redirects === MAX_REDIRECTS) {
+      throw new Error('Too many redirects');
+    }
+
+    if (response.body) response.body.cancel().catch(() => {});
+
+    current = new URL(location, current).toString();
+  }
+
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+
+  if (!/text\/html|application\/xhtml/.test(response.headers.get('content-type') || '')) {
+    return {};
+  }
+
+  return parseHtml(await readStart(response), current);
+};
+
+module.exports = fetchMetadata;
+module.exports.parseHtml = parseHtml;
+module.exports.isPublicAddress = isPublicAddress;
@@ -0,0 +1,60 @@
+
+const Post = require('../../models/Post');
+
+// Link metadata for link posts.
+//
+// A fetcher is any function `(url) => Promise<{ title, description, thumbnail }>`.
+// The HTTP fetcher is used by default; LINK_METADATA_FETCHER=stub switches to
+// a local stub that never touches the network, and tests can install their
+// own with setFetcher.
+
+const FETCHERS = {
+  http: () => require('./http'),
+  stub: () => require('./stub')
+};
+
+let fetcher = null;
+
+const getFetcher = () => {
+  if (!fetcher) {
+    const name = process.env.LINK_METADATA_FETCHER || 'http';
+    fetcher = (FETCHERS[name] || FETCHERS.http)();
+  }
+
+  return fetcher;
+};
+
+// Replace the fetcher; pass null to go back to the configured one
+const setFetcher = (fn) => {
+  fetcher = fn;
+};
+
+// Fetch metadata for a link post and store it on the post. Failures are
+// logged and leave the post without metadata.
+const enrichPost = async (post) => {
+  if (post.kind !== 'link' || !post.url) return null;
+
+  try {
+    const meta = await getFetcher()(post.url);
+
+    const linkMeta = {
+      title: meta && meta.title ? String(meta.title).slice(0, 300) : undefined,
+      description: meta && meta.description ? String(meta.description).slice(0, 1000) : undefined,
+      thumbnail: meta && meta.thumbnail ? String(meta.thumbnail) : undefined,
+      fetchedAt: new Date()
+    };
+
+    await Post.updateOne({ _id: post._id }, { $set: { linkMeta } });
+
+    return linkMeta;
+  } catch (err) {
+    console.error(`Link metadata fetch failed for ${post.url}:`, err.message);
+    return null;
+  }
+};
+
+module.exports = {
+  getFetcher,
+  setFetcher,
+  enrichPost
+};
@@ -0,0 +1,15 @@
+
+// Link metadata fetcher that never touches the network. The metadata is
+// derived from the URL alone so results are predictable.
+const fetchMetadata = async (url) => {
+  const { hostname, pathname } = new URL(url);
+  const slug = pathname.split('/').filter(Boolean).pop();
+
+  return {
+    title: slug ? decodeURIComponent(slug).replace(/[-_]+/g, ' ') : hostname,
+    description: `Link to ${hostname}`,
+    thumbnail: null
+  };
+};
+
+module.exports = fetchMetadata;
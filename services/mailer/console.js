@@ -0,0 +1,19 @@
+
+// Development transport that prints messages instead of sending them
+const createTransport = () => ({
+  send: async (message) => {
+    console.log([
+      '--- email ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '-------------'
+    ].join('\n'));
+
+    return {};
+  }
+});
+
+module.exports = createTransport;
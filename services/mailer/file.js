@@ -0,0 +1,24 @@
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development transport that writes each message as JSON to MAIL_DIR
+// (default tmp/mail)
+const createTransport = () => {
+  const dir = path.resolve(process.env.MAIL_DIR || 'tmp/mail');
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      const sentAt = new Date().toISOString();
+
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+
+      return { file };
+    }
+  };
+};
+
+module.exports = createTransport;
@@ -0,0 +1,52 @@
+
+// Outgoing email.
+//
+// A transport is any object with `send({ from, to, subject, text, html })`.
+// MAIL_TRANSPORT picks one: smtp (configured through SMTP_* variables), file
+// (writes each message to MAIL_DIR) or console. Without MAIL_TRANSPORT, SMTP
+// is used when SMTP_HOST is set and the console otherwise. Tests can install
+// their own transport with setTransport.
+
+const TRANSPORTS = {
+  smtp: () => require('./smtp'),
+  file: () => require('./file'),
+  console: () => require('./console')
+};
+
+const DEFAULT_FROM = 'no-reply@localhost';
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+    const create = TRANSPORTS[name];
+
+    if (!create) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+
+    transport = create()();
+  }
+
+  return transport;
+};
+
+// Replace the transport; pass null to go back to the configured one
+const setTransport = (replacement) => {
+  transport = replacement;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || DEFAULT_FROM,
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,23 @@
+
+const nodemailer = require('nodemailer');
+
+// SMTP transport configured through SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER and SMTP_PASS
+const createTransport = () => {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+module.exports = createTransport;
@@ -0,0 +1,76 @@
+
+const Community = require('../models/Community');
+const User = require('../models/User');
+
+// Community membership.
+//
+// Membership is stored on both sides: `Community.members` and
+// `User.communities`. Both are only changed here, with conditional updates so
+// a double join or leave can't skew `memberCount`.
+
+// Resolves to false when the user was already a member
+const join = async (community, userId) => {
+  const result = await Community.updateOne(
+    { _id: community._id, members: { $ne: userId } },
+    { $push: { members: userId }, $inc: { memberCount: 1 } }
+  );
+
+  await User.updateOne({ _id: userId }, { $addToSet: { communities: community._id } });
+
+  return result.modifiedCount > 0;
+};
+
+// Resolves to false when the user wasn't a member
+const leave = async (community, userId) => {
+  const result = await Community.updateOne(
+    { _id: community._id, members: userId },
+    { $pull: { members: userId }, $inc: { memberCount: -1 } }
+  );
+
+  await User.updateOne({ _id: userId }, { $pull: { communities: community._id } });
+
+  return result.modifiedCount > 0;
+};
+
+// How many of the most popular communities anonymous users see when
+// DEFAULT_COMMUNITIES isn't set
+const DEFAULT_POPULAR_COUNT = 10;
+
+// Communities shown to users who haven't joined any. DEFAULT_COMMUNITIES is a
+// comma-separated list of names; without it the most popular public and
+// restricted communities are used.
+const getDefaultCommunities = async () => {
+  const configured = String(process.env.DEFAULT_COMMUNITIES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (configured.length > 0) return configured;
+
+  const popular = await Community.find({ type: { $ne: 'private' } })
+    .sort({ memberCount: -1, _id: -1 })
+    .limit(DEFAULT_POPULAR_COUNT)
+    .select('name')
+    .lean();
+
+  return popular.map(community => community.name);
+};
+
+// Names of the communities that make up a user's home feed
+const getHomeCommunities = async (user) => {
+  if (user && user.communities && user.communities.length > 0) {
+    const joined = await Community.find({ _id: { $in: user.communities } }).distinct('name');
+
+    if (joined.length > 0) return joined;
+  }
+
+  return getDefaultCommunities();
+};
+
+module.exports = {
+  DEFAULT_POPULAR_COUNT,
+  join,
+  leave,
+  getDefaultCommunities,
+  getHomeCommunities
+};
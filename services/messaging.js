@@ -0,0 +1,279 @@
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const bans = require('./bans');
+const moderation = require('./moderation');
+const mutes = require('./mutes');
+const { paginate } = require('../utils/pagination');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Private messages and modmail.
+//
+// Two users share a single direct conversation. Modmail conversations are
+// between one user and a community's moderators; moderators reply as the
+// community, and only other moderators see which of them sent a message.
+// Users who block each other can't exchange direct messages, and users banned
+// from a community can only reply to modmail the moderators started. Users
+// muted in a community can't write to its moderators at all until the mute
+// runs out.
+
+const sameUser = (a, b) => a.toString() === b.toString();
+
+const directKey = (a, b) => [a.toString(), b.toString()].sort().join(':');
+
+// Whether either user has blocked the other
+const isBlocked = async (a, b) => Boolean(await User.exists({
+  $or: [
+    { _id: a, blockedUsers: b },
+    { _id: b, blockedUsers: a }
+  ]
+}));
+
+// What a user may do with a conversation; null when they can't see it
+const getAccess = async (conversation, userId) => {
+  const participant = conversation.participants.some(id => sameUser(id._id || id, userId));
+
+  if (conversation.kind === 'direct') {
+    return participant ? { participant, moderator: false } : null;
+  }
+
+  const moderator = await moderation.isModeratorOf(conversation.community, userId);
+
+  return participant || moderator ? { participant, moderator } : null;
+};
+
+const markRead = async (conversationId, userId, at = new Date()) => {
+  const updated = await Conversation.updateOne(
+    { _id: conversationId, 'reads.user': userId },
+    { $set: { 'reads.$.lastReadAt': at } }
+  );
+
+  if (updated.matchedCount === 0) {
+    await Conversation.updateOne(
+      { _id: conversationId, 'reads.user': { $ne: userId } },
+      { $push: { reads: { user: userId, lastReadAt: at } } }
+    );
+  }
+};
+
+const addMessage = async (conversation, sender, body, asCommunity) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    asCommunity,
+    body
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $set: { lastMessage: message._id, lastMessageAt: message.createdAt } }
+  );
+
+  await markRead(conversation._id, sender._id, message.createdAt);
+
+  return message;
+};
+
+// Hide which moderator sent modmail from everyone but moderators
+const presentMessage = (message, { moderator = false } = {}) => {
+  const plain = typeof message.toJSON === 'function' ? message.toJSON() : message;
+  const hideSender = plain.asCommunity && !moderator;
+
+  return {
+    ...plain,
+    sender: hideSender ? null : plain.sender,
+    from: plain.asCommunity ? `r/${plain.asCommunity}` : plain.sender && plain.sender.username
+  };
+};
+
+const unreadCount = (conversation, userId) => {
+  const read = (conversation.reads || []).find(entry => sameUser(entry.user, userId));
+  const filter = { conversation: conversation._id, sender: { $ne: userId } };
+
+  if (read && read.lastReadAt) filter.createdAt = { $gt: read.lastReadAt };
+
+  return Message.countDocuments(filter);
+};
+
+// Conversation summary with the last message and the reader's unread count
+const summarize = async (conversation, userId, access) => {
+  const plain = typeof conversation.toJSON === 'function' ? conversation.toJSON() : conversation;
+
+  return {
+    ...plain,
+    reads: undefined,
+    lastMessage: plain.lastMessage ? presentMessage(plain.lastMessage, access) : null,
+    unreadCount: await unreadCount(conversation, userId)
+  };
+};
+
+// Start, or continue, the direct conversation with another user
+const sendDirect = async ({ sender, recipient, subject, body }) => {
+  if (sameUser(sender._id, recipient._id)) {
+    throw new BadRequestError('You cannot message yourself');
+  }
+
+  if (await isBlocked(sender._id, recipient._id)) {
+    throw new ForbiddenError('You cannot message this user');
+  }
+
+  const key = directKey(sender._id, recipient._id);
+  let conversation;
+
+  try {
+    conversation = await Conversation.findOneAndUpdate(
+      { directKey: key },
+      {
+        $setOnInsert: {
+          kind: 'direct',
+          directKey: key,
+          participants: [sender._id, recipient._id],
+          subject
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+  } catch (err) {
+    // Both users started the conversation at once
+    if (err.code !== 11000) throw err;
+    conversation = await Conversation.findOne({ directKey: key });
+  }
+
+  const message = await addMessage(conversation, sender, body);
+
+  return { conversation, message };
+};
+
+// Start a modmail conversation. With a recipient a moderator writes to a user
+// as the community; without one a user writes to the moderators.
+const sendModmail = async ({ community, sender, recipient, subject, body }) => {
+  if (!subject || !String(subject).trim()) {
+    throw new BadRequestError('Subject is required');
+  }
+
+  const isMod = moderation.isModerator(community, sender._id);
+
+  if (recipient && !isMod) {
+    throw new ForbiddenError('Only moderators can send modmail as the community');
+  }
+
+  if (!recipient) {
+    await bans.assertNotBanned(community.name, sender._id);
+    await mutes.assertNotMuted(community.name, sender._id);
+  }
+
+  const conversation = await Conversation.create({
+    kind: 'modmail',
+    community: community.name,
+    participants: [recipient ? recipient._id : sender._id],
+    subject
+  });
+
+  const message = await addMessage(conversation, sender, body, recipient ? community.name : undefined);
+
+  return { conversation, message: presentMessage(message, { moderator: isMod }) };
+};
+
+// Whether a modmail thread was opened by the moderators, writing as the
+// community
+const startedByModerators = async (conversation) => {
+  const first = await Message.findOne({ conversation: conversation._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('asCommunity')
+    .lean();
+
+  return Boolean(first && first.asCommunity);
+};
+
+// Reply in a conversation the sender has access to
+const reply = async ({ conversation, sender, body }) => {
+  const access = await getAccess(conversation, sender._id);
+
+  if (!access) {
+    throw new NotFoundError('Conversation not found');
+  }
+
+  if (conversation.kind === 'direct') {
+    const other = conversation.participants.find(id => !sameUser(id, sender._id));
+
+    if (other && await isBlocked(sender._id, other)) {
+      throw new ForbiddenError('You cannot message this user');
+    }
+  }
+
+  if (conversation.kind === 'modmail' && !access.moderator) {
+    await mutes.assertNotMuted(conversation.community, sender._id);
+
+    // Banned users keep their say only in threads the moderators started
+    if (!await startedByModerators(conversation)) {
+      await bans.assertNotBanned(conversation.community, sender._id);
+    }
+  }
+
+  // Moderators answer modmail as the community
+  const asCommunity = conversation.kind === 'modmail' && access.moderator && !access.participant
+    ? conversation.community
+    : undefined;
+
+  const message = await addMessage(conversation, sender, body, asCommunity);
+  await message.populate('sender', 'username');
+
+  return presentMessage(message, access);
+};
+
+// A page of conversations, most recently active first
+const listConversations = async (filter, userId, access, { after, before, limit } = {}) => {
+  const query = Conversation.find(filter)
+    .populate('participants', 'username')
+    .populate({ path: 'lastMessage', populate: { path: 'sender', select: 'username' } });
+
+  const page = await paginate(query, { lastMessageAt: -1, _id: -1 }, { after, before, limit });
+
+  page.items = await Promise.all(page.items.map(conversation => summarize(conversation, userId, access)));
+
+  return page;
+};
+
+// The user's inbox: their direct conversations and their side of modmail
+const getInbox = (userId, page) =>
+  listConversations({ participants: userId }, userId, { moderator: false }, page);
+
+// A community's modmail, as seen by one of its moderators
+const getModmail = (community, moderatorId, page) =>
+  listConversations({ kind: 'modmail', community: community.name }, moderatorId, { moderator: true }, page);
+
+// A page of messages, newest first; reading a thread marks it read
+const getThread = async (conversation, userId, { after, before, limit } = {}) => {
+  const access = await getAccess(conversation, userId);
+
+  if (!access) return null;
+
+  const query = Message.find({ conversation: conversation._id })
+    .populate('sender', 'username');
+
+  const page = await paginate(query, { createdAt: -1, _id: -1 }, { after, before, limit });
+
+  page.items = page.items.map(message => presentMessage(message, access));
+
+  if (!after && !before) {
+    await markRead(conversation._id, userId);
+  }
+
+  await conversation.populate('participants', 'username');
+
+  return {
+    conversation: { ...conversation.toJSON(), reads: undefined },
+    messages: page
+  };
+};
+
+module.exports = {
+  isBlocked,
+  sendDirect,
+  sendModmail,
+  reply,
+  getInbox,
+  getModmail,
+  getThread
+};
@@ -0,0 +1,206 @@
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const ModAction = require('../models/ModAction');
+const Report = require('../models/Report');
+const notifications = require('./notifications');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Moderator actions on community content, and the mod log they write to.
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Whether a user moderates a community; works with populated moderators too
+const isModerator = (community, userId) => Boolean(community && userId) &&
+  community.moderators.some(mod => idOf(mod).toString() === idOf(userId).toString());
+
+// Same as isModerator, looking the community up by name
+const isModeratorOf = async (communityName, userId) => {
+  if (!communityName || !userId) return false;
+
+  const community = await Community.findOne({ name: communityName }).select('moderators');
+  return isModerator(community, userId);
+};
+
+// Record a moderator action in the community's mod log
+const logAction = ({ community, moderator, action, targetUser, targetPost, targetComment, reason, details }) =>
+  ModAction.create({
+    community: community.name || community,
+    moderator: idOf(moderator),
+    action,
+    targetUser: idOf(targetUser),
+    targetPost: idOf(targetPost),
+    targetComment: idOf(targetComment),
+    reason,
+    details
+  });
+
+// Find the community a post or comment belongs to
+const getCommunityFor = async (type, target) => {
+  let name = target.community;
+
+  if (type === 'comment' && !name) {
+    const post = await Post.findById(target.post).select('community');
+    name = post && post.community;
+  }
+
+  return name ? Community.findOne({ name }) : null;
+};
+
+// Resolve the removal reason from free text and/or a saved reason id
+const resolveRemovalReason = (community, { reason, reasonId } = {}) => {
+  if (reasonId) {
+    const saved = community.removalReasons.id(reasonId);
+
+    if (!saved) {
+      throw new NotFoundError('Removal reason not found');
+    }
+
+    return {
+      reason: reason ? String(reason).trim() : saved.title,
+      details: { reasonId: saved._id, reasonTitle: saved.title, reasonMessage: saved.message }
+    };
+  }
+
+  if (!reason || !String(reason).trim()) {
+    throw new BadRequestError('A removal reason is required');
+  }
+
+  return { reason: String(reason).trim(), details: undefined };
+};
+
+const MODELS = {
+  post: Post,
+  comment: Comment
+};
+
+const ACTIONS = {
+  post: { remove: 'removePost', approve: 'approvePost', lock: 'lockPost', unlock: 'unlockPost' },
+  comment: { remove: 'removeComment', approve: 'approveComment', lock: 'lockComment', unlock: 'unlockComment' }
+};
+
+// Reviewing an item takes it out of the mod queue and closes its reports
+const REVIEWED = {
+  reportCount: 0,
+  reportHidden: false,
+  pendingReview: false
+};
+
+const closeReports = (type, target, status) => Report.updateMany(
+  { [type]: target._id, status: 'open' },
+  { $set: { status } }
+);
+
+// Remove a post or comment from its community
+const removeContent = async ({ type, target, community, moderator, reason, reasonId }) => {
+  const resolved = resolveRemovalReason(community, { reason, reasonId });
+
+  const updated = await MODELS[type].findByIdAndUpdate(target._id, {
+    $set: {
+      removed: true,
+      removedAt: new Date(),
+      removedBy: moderator._id,
+      removalReason: resolved.reason,
+      ...REVIEWED
+    },
+    $unset: { approvedBy: '', approvedAt: '', queuedAt: '' }
+  }, { new: true });
+
+  await closeReports(type, target, 'actioned');
+
+  await logAction({
+    community,
+    moderator,
+    action: ACTIONS[type].remove,
+    targetUser: target.author,
+    [type === 'post' ? 'targetPost' : 'targetComment']: target._id,
+    reason: resolved.reason,
+    details: resolved.details
+  });
+
+  await notifications.notifyRemoval({
+    type,
+    target,
+    community,
+    moderator,
+    reason: resolved.reason
+  });
+
+  return updated;
+};
+
+// Approve a post or comment, restoring it if it was removed
+const approveContent = async ({ type, target, community, moderator }) => {
+  const updated = await MODELS[type].findByIdAndUpdate(target._id, {
+    $set: {
+      removed: false,
+      approvedBy: moderator._id,
+      approvedAt: new Date(),
+      ...REVIEWED
+    },
+    $unset: { removedAt: '', removedBy: '', removalReason: '', queuedAt: '' }
+  }, { new: true });
+
+  await closeReports(type, target, 'ignored');
+
+  await logAction({
+    community,
+    moderator,
+    action: ACTIONS[type].approve,
+    targetUser: target.author,
+    [type === 'post' ? 'targetPost' : 'targetComment']: target._id
+  });
+
+  return updated;
+};
+
+// Dismiss the reports on an item; later reports are still counted but no
+// longer queue or hide it
+const ignoreReports = async ({ type, target, community, moderator }) => {
+  const updated = await MODELS[type].findByIdAndUpdate(target._id, {
+    $set: { ...REVIEWED, reportsIgnored: true },
+    $unset: { queuedAt: '' }
+  }, { new: true });
+
+  await closeReports(type, target, 'ignored');
+
+  await logAction({
+    community,
+    moderator,
+    action: 'ignoreReports',
+    targetUser: target.author,
+    [type === 'post' ? 'targetPost' : 'targetComment']: target._id
+  });
+
+  return updated;
+};
+
+// Lock or unlock a post or comment; locked items take no new replies
+const setLocked = async ({ type, target, community, moderator, locked, reason, details }) => {
+  const updated = await MODELS[type].findByIdAndUpdate(target._id, { $set: { locked } }, { new: true });
+
+  await logAction({
+    community,
+    moderator,
+    action: ACTIONS[type][locked ? 'lock' : 'unlock'],
+    targetUser: target.author,
+    [type === 'post' ? 'targetPost' : 'targetComment']: target._id,
+    reason,
+    details
+  });
+
+  return updated;
+};
+
+module.exports = {
+  isModerator,
+  isModeratorOf,
+  logAction,
+  getCommunityFor,
+  resolveRemovalReason,
+  removeContent,
+  approveContent,
+  ignoreReports,
+  setLocked
+};
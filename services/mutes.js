@@ -0,0 +1,41 @@
+
+const Mute = require('../models/Mute');
+const { ForbiddenError } = require('../utils/errors');
+
+// Modmail mutes.
+//
+// A mute keeps a user from writing to a community's moderators, in new
+// modmail and in replies to existing threads, for a few days. Unlike bans,
+// mutes are always temporary.
+
+const DEFAULT_DAYS = 3;
+const MAX_DAYS = 28;
+
+const activeFilter = (now = new Date()) => ({ expiresAt: { $gt: now } });
+
+// The user's active mute in a community, if any
+const getActiveMute = (community, userId) => {
+  if (!community || !userId) return null;
+
+  return Mute.findOne({ community, user: userId, ...activeFilter() });
+};
+
+// Reject with a 403 error when the user is muted in the community
+const assertNotMuted = async (community, userId) => {
+  const mute = await getActiveMute(community, userId);
+
+  if (mute) {
+    throw new ForbiddenError(`You are muted in r/${community} modmail until ${mute.expiresAt.toISOString()}`, {
+      code: 'MUTED',
+      details: { mute: { community: mute.community, expiresAt: mute.expiresAt } }
+    });
+  }
+};
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  activeFilter,
+  getActiveMute,
+  assertNotMuted
+};
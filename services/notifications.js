@@ -0,0 +1,194 @@
+
+const Community = require('../models/Community');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { paginate } = require('../utils/pagination');
+
+// User notifications.
+//
+// Notifications are created as a side effect of other actions, so failures
+// are logged rather than passed on: a reply shouldn't fail because its
+// notification couldn't be written. Users never get notified about their own
+// actions, and each type can be turned off in their preferences. Content from
+// private communities only reaches their members and moderators, both when
+// notifications are delivered and when they are read.
+
+const TYPES = ['postReply', 'commentReply', 'mention', 'contentRemoved'];
+
+// Mentions beyond this many in one post or comment are ignored
+const MAX_MENTIONS = 10;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const sameUser = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+// Usernames mentioned as u/username, without duplicates
+const extractMentions = (...texts) => {
+  const names = new Set();
+  const pattern = /(?:^|[^\w/])\/?u\/([A-Za-z0-9_]{3,})/g;
+
+  texts.filter(Boolean).forEach(text => {
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      names.add(match[1]);
+    }
+  });
+
+  return [...names].slice(0, MAX_MENTIONS);
+};
+
+// Who can see a community's content, as a User filter; the same rule as
+// communityAccess.canView, which can't be required here without a cycle
+// through moderation
+const audienceFilter = async (communityName) => {
+  const community = communityName && await Community.findOne({ name: communityName })
+    .select('type moderators')
+    .lean();
+
+  if (!community || community.type !== 'private') return {};
+
+  return { $or: [{ communities: community._id }, { _id: { $in: community.moderators } }] };
+};
+
+// The private communities among `names` that a user can't see
+const hiddenFrom = (userId, names) => Community.find({
+  name: { $in: names },
+  type: 'private',
+  members: { $ne: userId },
+  moderators: { $ne: userId }
+}).distinct('name');
+
+// Create notifications for the recipients that want this type
+const deliver = async (type, recipients, fields) => {
+  const ids = recipients.filter(recipient => recipient && !sameUser(recipient, fields.actor)).map(idOf);
+
+  if (ids.length === 0) return [];
+
+  // Nobody hears from users they blocked
+  const users = await User.find({
+    _id: { $in: ids },
+    [`notificationPreferences.${type}`]: { $ne: false },
+    ...(fields.actor ? { blockedUsers: { $ne: idOf(fields.actor) } } : {}),
+    ...await audienceFilter(fields.community)
+  }).select('_id').lean();
+
+  if (users.length === 0) return [];
+
+  return Notification.insertMany(users.map(user => ({
+    ...fields,
+    user: user._id,
+    actor: idOf(fields.actor),
+    type
+  })));
+};
+
+const safely = (fn) => async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (err) {
+    console.error('Failed to create notifications:', err);
+    return [];
+  }
+};
+
+// Notify the author of the post or parent comment a new comment replies to
+const notifyReply = safely(async ({ comment, post, parent }) => {
+  const type = parent ? 'commentReply' : 'postReply';
+  const recipient = parent ? parent.author : post.author;
+
+  return deliver(type, [recipient], {
+    actor: comment.author,
+    community: post.community,
+    post: post._id,
+    comment: comment._id
+  });
+});
+
+// Notify users mentioned in a new post or comment. `exclude` lists users
+// already notified about it in another way.
+const notifyMentions = safely(async ({ texts, actor, community, post, comment, exclude = [] }) => {
+  const names = extractMentions(...texts);
+
+  if (names.length === 0) return [];
+
+  const excluded = new Set(exclude.filter(Boolean).map(user => idOf(user).toString()));
+
+  const users = await User.find({ username: { $in: names } }).select('_id').lean();
+
+  return deliver('mention', users.filter(user => !excluded.has(user._id.toString())), {
+    actor,
+    community,
+    post: idOf(post),
+    comment: idOf(comment)
+  });
+});
+
+// Tell an author a moderator removed their post or comment
+const notifyRemoval = safely(async ({ type, target, community, moderator, reason }) =>
+  deliver('contentRemoved', [target.author], {
+    actor: moderator,
+    community: community.name || community,
+    post: type === 'post' ? target._id : target.post,
+    comment: type === 'comment' ? target._id : undefined,
+    reason
+  }));
+
+// A page of the user's notifications, newest first. The post and comment of
+// notifications from private communities the user has since left are hidden.
+const getInbox = async (userId, { unread = false, type, after, before, limit } = {}) => {
+  const filter = { user: userId };
+
+  if (unread) filter.read = false;
+  if (type) filter.type = type;
+
+  const query = Notification.find(filter)
+    .populate('actor', 'username')
+    .populate('post', 'title community')
+    .populate('comment', 'content');
+
+  const page = await paginate(query, { createdAt: -1, _id: -1 }, { after, before, limit });
+
+  const communityOf = (item) => item.community || (item.post && item.post.community);
+  const names = [...new Set(page.items.map(communityOf).filter(Boolean))];
+  const hidden = names.length > 0 ? new Set(await hiddenFrom(userId, names)) : new Set();
+
+  page.items = page.items.map(item => {
+    const plain = typeof item.toJSON === 'function' ? item.toJSON() : item;
+
+    return hidden.has(communityOf(plain)) ? { ...plain, post: null, comment: null } : plain;
+  });
+
+  return page;
+};
+
+const unreadCount = (userId) => Notification.countDocuments({ user: userId, read: false });
+
+// Resolves to the notification, or null when it isn't the user's
+const markRead = (userId, notificationId, read = true) => Notification.findOneAndUpdate(
+  { _id: notificationId, user: userId },
+  read ? { $set: { read: true, readAt: new Date() } } : { $set: { read: false }, $unset: { readAt: '' } },
+  { new: true }
+);
+
+const markAllRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { user: userId, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  TYPES,
+  MAX_MENTIONS,
+  extractMentions,
+  notifyReply,
+  notifyMentions,
+  notifyRemoval,
+  getInbox,
+  unreadCount,
+  markRead,
+  markAllRead
+};
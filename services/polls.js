@@ -0,0 +1,168 @@
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PollBallot = require('../models/PollBallot');
+const bans = require('./bans');
+const communityAccess = require('./communityAccess');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+// Polls on poll posts.
+//
+// Ballots live in their own collection with one per user and poll; the counts
+// on the post are only changed by atomic increments. Counts are hidden until
+// the viewer has voted or the poll has closed.
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+
+// Selects the vote counts, which posts leave out by default
+const RESULT_FIELDS = '+poll.options.votes +poll.totalVotes';
+
+const isClosed = (poll, now = new Date()) => Boolean(poll.closesAt) && poll.closesAt <= now;
+
+// Validate poll settings from a create request and return the poll to store
+const buildPoll = ({ options, multipleChoice = false, closesAt } = {}) => {
+  if (!Array.isArray(options)) {
+    throw new BadRequestError('Poll options are required');
+  }
+
+  const texts = options.map(option => String(option || '').trim());
+
+  if (texts.some(text => !text)) {
+    throw new BadRequestError('Poll options cannot be empty');
+  }
+
+  if (texts.length < MIN_OPTIONS || texts.length > MAX_OPTIONS) {
+    throw new BadRequestError(`Polls need between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+  }
+
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    throw new BadRequestError('Poll options must be unique');
+  }
+
+  let closes;
+
+  if (closesAt) {
+    closes = new Date(closesAt);
+
+    if (Number.isNaN(closes.getTime()) || closes <= new Date()) {
+      throw new BadRequestError('Closing time must be a valid date in the future');
+    }
+  }
+
+  return {
+    options: texts.map(text => ({ text, votes: 0 })),
+    multipleChoice: Boolean(multipleChoice),
+    closesAt: closes,
+    totalVotes: 0
+  };
+};
+
+// What a viewer gets to see of a poll, given their ballot if they have one
+const present = (poll, ballot = null) => {
+  const closed = isClosed(poll);
+  const showResults = closed || Boolean(ballot);
+
+  return {
+    options: poll.options.map(option => ({
+      _id: option._id,
+      text: option.text,
+      votes: showResults ? option.votes || 0 : undefined
+    })),
+    multipleChoice: poll.multipleChoice,
+    closesAt: poll.closesAt,
+    closed,
+    totalVotes: showResults ? poll.totalVotes || 0 : undefined,
+    resultsVisible: showResults,
+    userChoices: ballot ? ballot.choices : null
+  };
+};
+
+// Present a post's poll to a viewer. The post must have been loaded with
+// RESULT_FIELDS.
+const viewPoll = async (post, viewerId) => {
+  const ballot = viewerId
+    ? await PollBallot.findOne({ post: post._id, user: viewerId })
+    : null;
+
+  return present(post.poll, ballot);
+};
+
+// Check the chosen option ids against the poll and return them as ObjectIds
+const resolveChoices = (poll, choices) => {
+  const ids = [...new Set((Array.isArray(choices) ? choices : [choices])
+    .filter(Boolean)
+    .map(String))];
+
+  if (ids.length === 0) {
+    throw new BadRequestError('Choose at least one option');
+  }
+
+  if (!poll.multipleChoice && ids.length > 1) {
+    throw new BadRequestError('This poll only allows one choice');
+  }
+
+  const valid = new Set(poll.options.map(option => option._id.toString()));
+
+  if (!ids.every(id => valid.has(id))) {
+    throw new BadRequestError('Invalid poll option');
+  }
+
+  return ids.map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Cast a user's ballot. Resolves to the poll with results, or null when
+// the post doesn't exist.
+const castBallot = async (postId, user, choices) => {
+  const post = await Post.findById(postId).select('kind poll community deleted removed');
+
+  if (!post || post.deleted) return null;
+
+  if (post.kind !== 'poll') {
+    throw new BadRequestError('This post is not a poll');
+  }
+
+  if (post.removed) {
+    throw new BadRequestError('Cannot vote on a removed post');
+  }
+
+  if (isClosed(post.poll)) {
+    throw new BadRequestError('This poll is closed');
+  }
+
+  await bans.assertNotBanned(post.community, user._id);
+  await communityAccess.assertCanViewByName(post.community, user._id);
+
+  const ids = resolveChoices(post.poll, choices);
+
+  let ballot;
+
+  try {
+    ballot = await PollBallot.create({ post: post._id, user: user._id, choices: ids });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ConflictError('You have already voted in this poll');
+    }
+    throw err;
+  }
+
+  const updated = await Post.findByIdAndUpdate(post._id, {
+    $inc: { 'poll.totalVotes': 1, 'poll.options.$[option].votes': 1 }
+  }, {
+    new: true,
+    arrayFilters: [{ 'option._id': { $in: ids } }]
+  }).select(RESULT_FIELDS);
+
+  return present(updated.poll, ballot);
+};
+
+module.exports = {
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  RESULT_FIELDS,
+  isClosed,
+  buildPoll,
+  present,
+  viewPoll,
+  castBallot
+};
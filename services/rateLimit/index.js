@@ -0,0 +1,135 @@
+
+// Request rate limits.
+//
+// Each policy allows `max` requests per window, counted per user for
+// signed-in requests and per IP otherwise. Policies keyed by `ip` always count
+// per IP, and those keyed by `username` per account named in the request, so
+// attempts on one account are limited however many IPs they come from.
+// Policies with `ipMax` also cap the requests from one IP across accounts. New
+// and low-karma accounts get `newMax` instead of `max`.
+//
+// Counts are kept in fixed windows in a store with a single
+// `increment(key, resetAt)` method resolving to the new count. RATE_LIMIT_STORE
+// picks the in-memory store (default) or the MongoDB one shared by all
+// instances; tests can install their own with setStore. RATE_LIMIT_DISABLED
+// turns limiting off.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const POLICIES = {
+  login: { windowMs: 15 * MINUTE, max: 10, key: 'ip' },
+  loginAccount: { windowMs: 15 * MINUTE, max: 10, key: 'username' },
+  register: { windowMs: HOUR, max: 5, key: 'ip' },
+  passwordReset: { windowMs: HOUR, max: 5, key: 'ip' },
+  verificationEmail: { windowMs: HOUR, max: 3, ipMax: 10 },
+  post: { windowMs: HOUR, max: 10, newMax: 3, ipMax: 30 },
+  comment: { windowMs: MINUTE, max: 10, newMax: 3, ipMax: 30 },
+  vote: { windowMs: MINUTE, max: 60, newMax: 20, ipMax: 180 },
+  community: { windowMs: DAY, max: 3, newMax: 1, ipMax: 5 },
+  message: { windowMs: HOUR, max: 30, newMax: 5, ipMax: 60 }
+};
+
+// Accounts younger than this or with less karma get the stricter limits
+const NEW_ACCOUNT_DAYS = 2;
+const LOW_KARMA = 10;
+
+const STORES = {
+  memory: () => require('./memoryStore'),
+  mongo: () => require('./mongoStore')
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const create = STORES[name];
+
+    if (!create) {
+      throw new Error(`Unknown rate limit store "${name}"`);
+    }
+
+    store = create()();
+  }
+
+  return store;
+};
+
+// Replace the store; pass null to go back to the configured one
+const setStore = (replacement) => {
+  store = replacement;
+};
+
+const isNewAccount = (user) => {
+  const age = Date.now() - new Date(user.createdAt).getTime();
+  return age < NEW_ACCOUNT_DAYS * DAY || (user.karma || 0) < LOW_KARMA;
+};
+
+const limitFor = (policy, user) => (user && policy.newMax && isNewAccount(user) ? policy.newMax : policy.max);
+
+const countIn = async (name, policy, subject, now) => {
+  const window = Math.floor(now / policy.windowMs);
+  const resetAt = (window + 1) * policy.windowMs;
+  const count = await getStore().increment(`${name}:${subject}:${window}`, resetAt);
+
+  return { count, resetAt };
+};
+
+const normalizeUsername = (username) => String(username).trim().toLowerCase();
+
+// What a request is counted under for a policy
+const subjectFor = (policy, { user, ip, username }) => {
+  if (policy.key === 'username') return `username:${normalizeUsername(username)}`;
+  if (policy.key !== 'ip' && user) return `user:${user._id}`;
+
+  return `ip:${ip}`;
+};
+
+// Count a request against a policy. `username` is the account a request like
+// a login is for. Resolves to the limit, the remaining requests, when the
+// window resets and whether the request is allowed.
+const hit = async (name, { user, ip, username }) => {
+  const policy = POLICIES[name];
+
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${name}"`);
+  }
+
+  const now = Date.now();
+  const byUser = !policy.key && user;
+  const limit = limitFor(policy, byUser ? user : null);
+
+  const primary = await countIn(name, policy, subjectFor(policy, { user, ip, username }), now);
+  let result = { limit, count: primary.count, resetAt: primary.resetAt };
+
+  if (byUser && policy.ipMax) {
+    const shared = await countIn(`${name}-ip`, policy, `ip:${ip}`, now);
+
+    // Report whichever limit is closer to running out
+    if (policy.ipMax - shared.count < limit - primary.count) {
+      result = { limit: policy.ipMax, count: shared.count, resetAt: shared.resetAt };
+    }
+  }
+
+  return {
+    limit: result.limit,
+    remaining: Math.max(0, result.limit - result.count),
+    resetAt: result.resetAt,
+    allowed: result.count <= result.limit
+  };
+};
+
+const isDisabled = () => process.env.RATE_LIMIT_DISABLED === 'true';
+
+module.exports = {
+  POLICIES,
+  NEW_ACCOUNT_DAYS,
+  LOW_KARMA,
+  getStore,
+  setStore,
+  isNewAccount,
+  hit,
+  isDisabled
+};
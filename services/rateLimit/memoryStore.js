@@ -0,0 +1,29 @@
+
+// Rate limit store kept in process memory. Counts aren't shared between
+// server instances or kept across restarts.
+const createStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    increment: async (key, resetAt) => {
+      const entry = windows.get(key) || { count: 0, resetAt };
+
+      entry.count += 1;
+      windows.set(key, entry);
+
+      return entry.count;
+    }
+  };
+};
+
+module.exports = createStore;
@@ -0,0 +1,17 @@
+
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// Rate limit store in MongoDB, shared by every server instance
+const createStore = () => ({
+  increment: async (key, resetAt) => {
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { upsert: true, new: true }
+    );
+
+    return counter.count;
+  }
+});
+
+module.exports = createStore;
@@ -0,0 +1,173 @@
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const { paginateMany } = require('../utils/pagination');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+// User reports and the moderation queue.
+//
+// Each user can report an item once. Reports are counted on the item, which
+// then waits in its community's mod queue until a moderator approves, removes
+// or ignores it. Past the report threshold the item is also hidden.
+
+// Reasons that apply in every community
+const SITE_REASONS = [
+  'Spam',
+  'Harassment',
+  'Threatening violence',
+  'Hate',
+  'Sexualization of minors',
+  'Sharing personal information',
+  'Self-harm or suicide',
+  'Impersonation',
+  'Copyright violation'
+];
+
+const DEFAULT_THRESHOLD = 5;
+
+const MODELS = {
+  post: Post,
+  comment: Comment
+};
+
+const getThreshold = (community) => community.reportThreshold ||
+  parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) ||
+  DEFAULT_THRESHOLD;
+
+// A report cites either one of the community's rules or a site-wide reason
+const resolveReason = (community, { ruleId, reason } = {}) => {
+  if (ruleId) {
+    const rule = community.rules.id(ruleId);
+
+    if (!rule) {
+      throw new BadRequestError('Rule not found in this community');
+    }
+
+    return { rule: rule._id, reason: rule.title };
+  }
+
+  if (!SITE_REASONS.includes(reason)) {
+    throw new BadRequestError('Reason must be one of the community rules or a site-wide reason');
+  }
+
+  return { reason };
+};
+
+// File a report and queue, and possibly hide, the reported item
+const fileReport = async ({ type, target, community, reporter, ruleId, reason }) => {
+  const resolved = resolveReason(community, { ruleId, reason });
+
+  try {
+    await Report.create({
+      community: community.name,
+      reporter: reporter._id,
+      [type]: target._id,
+      ...resolved
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ConflictError(`You have already reported this ${type}`);
+    }
+    throw err;
+  }
+
+  const model = MODELS[type];
+
+  const updated = await model.findByIdAndUpdate(
+    target._id,
+    { $inc: { reportCount: 1 } },
+    { new: true }
+  );
+
+  if (updated.reportsIgnored) return updated;
+
+  const queue = {};
+
+  if (!updated.pendingReview) {
+    queue.pendingReview = true;
+    queue.queuedAt = new Date();
+  }
+
+  if (updated.reportCount >= getThreshold(community)) {
+    queue.reportHidden = true;
+  }
+
+  if (Object.keys(queue).length > 0) {
+    await model.updateOne({ _id: target._id }, { $set: queue });
+  }
+
+  return updated;
+};
+
+// Open report reasons with counts for a page of queued items
+const attachReasons = async (items) => {
+  const ids = { post: [], comment: [] };
+
+  items.forEach(item => ids[item.type].push(item._id));
+
+  const rows = await Report.aggregate([
+    {
+      $match: {
+        status: 'open',
+        $or: [{ post: { $in: ids.post } }, { comment: { $in: ids.comment } }]
+      }
+    },
+    {
+      $group: {
+        _id: { target: { $ifNull: ['$post', '$comment'] }, reason: '$reason' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+
+  const reasons = new Map();
+
+  rows.forEach(({ _id, count }) => {
+    const key = _id.target.toString();
+    if (!reasons.has(key)) reasons.set(key, []);
+    reasons.get(key).push({ reason: _id.reason, count });
+  });
+
+  items.forEach(item => {
+    item.reports = reasons.get(item._id.toString()) || [];
+  });
+
+  return items;
+};
+
+// A page of the community's mod queue; `type` is post, comment or all
+const getModQueue = async (community, { type = 'all', after, before, limit } = {}) => {
+  const queries = [];
+  const filter = { community: community.name, pendingReview: true };
+
+  if (type === 'all' || type === 'post') {
+    queries.push(Post.find(filter)
+      .populate('author', 'username')
+      .lean()
+      .transform(docs => docs.map(doc => ({ ...doc, type: 'post' }))));
+  }
+
+  if (type === 'all' || type === 'comment') {
+    queries.push(Comment.find(filter)
+      .populate('author', 'username')
+      .populate('post', 'title')
+      .lean()
+      .transform(docs => docs.map(doc => ({ ...doc, type: 'comment' }))));
+  }
+
+  const page = await paginateMany(queries, { queuedAt: -1, _id: -1 }, { after, before, limit });
+
+  await attachReasons(page.items);
+
+  return page;
+};
+
+module.exports = {
+  SITE_REASONS,
+  DEFAULT_THRESHOLD,
+  getThreshold,
+  fileReport,
+  getModQueue
+};
@@ -0,0 +1,125 @@
+
+const Revision = require('../models/Revision');
+const moderation = require('./moderation');
+const { diffText } = require('../utils/diff');
+const { ForbiddenError } = require('../utils/errors');
+
+// Edit history of posts and comments.
+//
+// Edits keep the version they replace as a revision and mark the item as
+// edited. Edits made within the grace window after posting are for fixing
+// typos and change the item in place, without a revision or the edited mark.
+// The history, with a diff between each version and the one before, is open
+// to the author and the community's moderators.
+
+const DEFAULT_GRACE_SECONDS = 180;
+
+// Fields an edit can change, per type
+const FIELDS = {
+  post: ['title', 'content'],
+  comment: ['content']
+};
+
+const getGraceMs = () => {
+  const seconds = parseInt(process.env.EDIT_GRACE_SECONDS, 10);
+  return (Number.isNaN(seconds) ? DEFAULT_GRACE_SECONDS : seconds) * 1000;
+};
+
+const inGraceWindow = (target, now = Date.now()) =>
+  now - target.createdAt.getTime() <= getGraceMs();
+
+// Apply `changes` to a post or comment and save it, recording the replaced
+// version unless this is a grace edit. Fields left undefined are kept, and an
+// empty string clears a field. Resolves to whether anything changed.
+const applyEdit = async ({ type, target, changes }) => {
+  const changed = FIELDS[type].filter(field =>
+    changes[field] !== undefined && changes[field] !== (target[field] || ''));
+
+  if (changed.length === 0) {
+    await target.save();
+    return false;
+  }
+
+  const previous = {};
+  FIELDS[type].forEach(field => {
+    previous[field] = target[field];
+  });
+
+  const now = new Date();
+  const recorded = !inGraceWindow(target, now.getTime());
+
+  changed.forEach(field => {
+    target[field] = changes[field];
+  });
+
+  if (recorded) {
+    target.edited = true;
+    target.editedAt = now;
+  }
+
+  await target.save();
+
+  if (recorded) {
+    await Revision.create({ [type]: target._id, ...previous });
+  }
+
+  return true;
+};
+
+const assertCanViewHistory = async (type, target, userId) => {
+  if (target.author && target.author.toString() === userId.toString()) return;
+
+  const community = await moderation.getCommunityFor(type, target);
+
+  if (!moderation.isModerator(community, userId)) {
+    throw new ForbiddenError(`Only the author and moderators can view the edit history of this ${type}`);
+  }
+};
+
+// The versions of a post or comment, oldest first, ending with the current
+// one. Every version after the first carries a diff of each field against
+// the version before it.
+const getHistory = async ({ type, target, userId }) => {
+  await assertCanViewHistory(type, target, userId);
+
+  const revisions = await Revision.find({ [type]: target._id })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  // Each revision was written when the item was posted or last edited
+  const versions = [...revisions, target].map((version, i) => {
+    const entry = { version: i };
+
+    FIELDS[type].forEach(field => {
+      entry[field] = version[field];
+    });
+
+    entry.createdAt = i === 0 ? target.createdAt : revisions[i - 1].createdAt;
+
+    return entry;
+  });
+
+  versions.forEach((entry, i) => {
+    if (i === 0) return;
+
+    entry.diff = {};
+
+    FIELDS[type].forEach(field => {
+      entry.diff[field] = diffText(versions[i - 1][field], entry[field]);
+    });
+  });
+
+  return {
+    edited: target.edited,
+    editedAt: target.editedAt,
+    versions
+  };
+};
+
+module.exports = {
+  DEFAULT_GRACE_SECONDS,
+  getGraceMs,
+  inGraceWindow,
+  applyEdit,
+  getHistory
+};
@@ -0,0 +1,193 @@
+
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Community = require('../models/Community');
+const { paginate, paginateByOffset, parseLimit } = require('../utils/pagination');
+const { hasText, toTextSearch, escapeRegex } = require('../utils/searchQuery');
+const communityAccess = require('./communityAccess');
+const visibility = require('./visibility');
+const { highlight } = require('../utils/highlight');
+
+// Search across posts, comments, communities and users.
+//
+// Every search function takes a query parsed by utils/searchQuery, a sort
+// (relevance, new or top), cursor options and the id of the viewer, if any,
+// and resolves to the usual pagination envelope with highlighted snippets on
+// each item. Posts and comments from private communities only turn up for
+// their members; the communities themselves can still be found.
+
+const TYPES = ['post', 'comment', 'community', 'user'];
+const SORTS = ['relevance', 'new', 'top'];
+
+const RELEVANCE = { relevance: { $meta: 'textScore' } };
+
+const emptyPage = (limit) => ({
+  items: [],
+  nextCursor: null,
+  prevCursor: null,
+  limit: parseLimit(limit)
+});
+
+const dateRange = (parsed) => {
+  if (!parsed.before && !parsed.after) return {};
+
+  const createdAt = {};
+  if (parsed.before) createdAt.$lt = parsed.before;
+  if (parsed.after) createdAt.$gt = parsed.after;
+
+  return { createdAt };
+};
+
+const textFilter = (parsed) => (hasText(parsed) ? { $text: { $search: toTextSearch(parsed) } } : {});
+
+// Relevance needs a text query; without one fall back to newest first
+const run = (query, parsed, sort, sorts, page) => {
+  if (sort === 'relevance' && hasText(parsed)) {
+    return paginateByOffset(query.select(RELEVANCE), { ...RELEVANCE, _id: -1 }, page);
+  }
+
+  return paginate(query, sorts[sort] || sorts.new, page);
+};
+
+// Resolve author:<username> to an id; undefined when not filtering by author
+const resolveAuthor = async (parsed) => {
+  if (!parsed.author) return undefined;
+
+  const user = await User.findOne({ username: parsed.author }).select('_id');
+  return user ? user._id : null;
+};
+
+const searchPosts = async (parsed, sort, page = {}, viewerId) => {
+  const author = await resolveAuthor(parsed);
+
+  if (author === null) return emptyPage(page.limit);
+
+  let filter = visibility.liveFilter({ ...textFilter(parsed), ...dateRange(parsed) });
+  if (author) filter.author = author;
+  if (parsed.community) filter.community = parsed.community;
+
+  filter = await communityAccess.excludePrivate(filter, viewerId);
+
+  const query = Post.find(filter)
+    .populate('author', 'username')
+    .lean();
+
+  const result = await run(query, parsed, sort, {
+    new: { createdAt: -1, _id: -1 },
+    top: { score: -1, createdAt: -1, _id: -1 }
+  }, page);
+
+  result.items.forEach(post => {
+    post.highlights = {
+      title: highlight(post.title, parsed, 300),
+      content: highlight(post.content, parsed)
+    };
+  });
+
+  return result;
+};
+
+const searchComments = async (parsed, sort, page = {}, viewerId) => {
+  const author = await resolveAuthor(parsed);
+
+  if (author === null) return emptyPage(page.limit);
+
+  let filter = visibility.liveFilter({ ...textFilter(parsed), ...dateRange(parsed) });
+  if (author) filter.author = author;
+  if (parsed.community) {
+    filter.post = { $in: await Post.find({ community: parsed.community }).distinct('_id') };
+  }
+
+  filter = await communityAccess.excludePrivate(filter, viewerId);
+
+  const query = Comment.find(filter)
+    .populate('author', 'username')
+    .populate('post', 'title community')
+    .lean();
+
+  const result = await run(query, parsed, sort, {
+    new: { createdAt: -1, _id: -1 },
+    top: { score: -1, createdAt: -1, _id: -1 }
+  }, page);
+
+  result.items.forEach(comment => {
+    comment.highlights = {
+      content: highlight(comment.content, parsed)
+    };
+  });
+
+  return result;
+};
+
+const searchCommunities = async (parsed, sort, page = {}) => {
+  if (!hasText(parsed)) return emptyPage(page.limit);
+
+  const query = Community.find({ ...textFilter(parsed), ...dateRange(parsed) })
+    .select('-members -approvedSubmitters')
+    .lean();
+
+  const result = await run(query, parsed, sort, {
+    new: { createdAt: -1, _id: -1 },
+    top: { memberCount: -1, _id: -1 }
+  }, page);
+
+  result.items.forEach(community => {
+    community.highlights = {
+      name: highlight(community.name, parsed),
+      description: highlight(community.description, parsed)
+    };
+  });
+
+  return result;
+};
+
+// Users have no text index; terms match username prefixes instead
+const searchUsers = async (parsed, sort, page = {}) => {
+  const prefixes = [...parsed.terms, ...parsed.phrases]
+    .map(term => term.replace(/^u\//i, ''))
+    .filter(Boolean);
+
+  if (prefixes.length === 0) return emptyPage(page.limit);
+
+  const query = User.find({
+    ...dateRange(parsed),
+    $or: prefixes.map(prefix => ({ username: { $regex: `^${escapeRegex(prefix)}`, $options: 'i' } }))
+  })
+    .select('username avatar karma createdAt')
+    .lean();
+
+  const sorts = {
+    new: { createdAt: -1, _id: -1 },
+    top: { karma: -1, _id: -1 }
+  };
+
+  const result = await paginate(query, sort === 'new' ? sorts.new : sorts.top, page);
+
+  result.items.forEach(user => {
+    user.highlights = {
+      username: highlight(user.username, { terms: prefixes })
+    };
+  });
+
+  return result;
+};
+
+const SEARCHERS = {
+  post: searchPosts,
+  comment: searchComments,
+  community: searchCommunities,
+  user: searchUsers
+};
+
+const search = (type, parsed, sort, page, viewerId) => SEARCHERS[type](parsed, sort, page, viewerId);
+
+module.exports = {
+  TYPES,
+  SORTS,
+  search,
+  searchPosts,
+  searchComments,
+  searchCommunities,
+  searchUsers
+};
@@ -0,0 +1,198 @@
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Login sessions and the tokens that go with them.
+//
+// Access tokens are short-lived JWTs carrying the user and session id.
+// Refresh tokens are "<session id>.<secret>" and are swapped for a new pair
+// on every refresh. Only a hash of the current secret is stored, so a
+// refresh token that doesn't match it has already been used: the session is
+// revoked, logging out both the thief and the legitimate device.
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL;
+
+const refreshExpiry = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Best-effort "Browser on OS" from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+const clientInfo = (req) => {
+  const userAgent = String(req.get('User-Agent') || '').slice(0, 500);
+
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip
+  };
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: accessTokenTtl() }
+);
+
+const tokenPair = (session, secret) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: accessTokenTtl()
+});
+
+// Log a user in on the requesting device
+const createSession = async (user, req) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...clientInfo(req)
+  });
+
+  return tokenPair(session, secret);
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  return { sessionId, secret };
+};
+
+const active = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+// Swap a refresh token for a new token pair
+const refresh = async (refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  const next = newSecret();
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hashSecret(secret), ...active() },
+    {
+      $set: {
+        tokenHash: hashSecret(next),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (session) return tokenPair(session, next);
+
+  // A stale token for a live session means it was used before
+  const reused = await Session.findOneAndUpdate(
+    { _id: sessionId, ...active() },
+    { $set: { revokedAt: new Date(), revokedReason: 'reuse' } }
+  );
+
+  if (reused) {
+    console.warn(`Refresh token reuse detected for session ${sessionId}, session revoked`);
+  }
+
+  throw new UnauthorizedError('Invalid refresh token');
+};
+
+// Revoke the session a refresh token belongs to, if the token is current
+const revokeByRefreshToken = async (refreshToken) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+
+  const result = await Session.updateOne(
+    { _id: sessionId, tokenHash: hashSecret(secret), ...active() },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Revoke one of the user's sessions; resolves to false when there was none
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, ...active() },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Revoke all of the user's sessions, optionally keeping one
+const revokeAll = async (userId, { except, reason = 'revoked' } = {}) => {
+  const filter = { user: userId, ...active() };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+// Whether access tokens for a session are still good; they stop working as
+// soon as the session is revoked
+const isSessionLive = async (sessionId) => Boolean(sessionId) &&
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null }));
+
+// The user's active sessions, most recently used first
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ user: userId, ...active() })
+    .select('device userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    ...session,
+    current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+  }));
+};
+
+module.exports = {
+  DEFAULT_ACCESS_TOKEN_TTL,
+  DEFAULT_REFRESH_TOKEN_TTL_DAYS,
+  describeDevice,
+  createSession,
+  refresh,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAll,
+  isSessionLive,
+  listSessions
+};
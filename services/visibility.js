@@ -0,0 +1,61 @@
+
+const markdown = require('../utils/markdown');
+
+// What readers get to see of posts and comments.
+//
+// Listings skip deleted and removed content, and content hidden by reports.
+// Content that is shown in place, like a removed comment in a thread, is
+// masked for everyone except its author and the community's moderators.
+
+const REMOVED_PLACEHOLDER = '[removed]';
+const HIDDEN_PLACEHOLDER = '[hidden pending moderator review]';
+
+// Add the conditions that keep deleted and removed content out of a listing
+const liveFilter = (filter = {}) => ({
+  ...filter,
+  deleted: { $ne: true },
+  removed: { $ne: true },
+  reportHidden: { $ne: true }
+});
+
+const toPlain = (item) => (typeof item.toJSON === 'function' ? item.toJSON() : item);
+
+const isAuthor = (item, viewerId) => {
+  const author = item.author && item.author._id ? item.author._id : item.author;
+  return Boolean(author && viewerId) && author.toString() === viewerId.toString();
+};
+
+// Mask a removed or hidden post or comment unless the viewer may see it,
+// including the URL, image or poll of a post. Returns a plain object either
+// way.
+const maskRemoved = (item, { viewerId, moderator = false } = {}) => {
+  const plain = toPlain(item);
+
+  if ((!plain.removed && !plain.reportHidden) || moderator || isAuthor(plain, viewerId)) {
+    return plain;
+  }
+
+  const placeholder = plain.removed ? REMOVED_PLACEHOLDER : HIDDEN_PLACEHOLDER;
+
+  return {
+    ...plain,
+    content: placeholder,
+    contentHtml: markdown.render(placeholder),
+    url: undefined,
+    domain: undefined,
+    linkMeta: undefined,
+    media: undefined,
+    poll: undefined,
+    author: null,
+    authorFlair: undefined,
+    removalReason: undefined,
+    removedBy: undefined
+  };
+};
+
+module.exports = {
+  REMOVED_PLACEHOLDER,
+  HIDDEN_PLACEHOLDER,
+  liveFilter,
+  maskRemoved
+};
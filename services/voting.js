@@ -0,0 +1,120 @@
+
+const Vote = require('../models/Vote');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const bans = require('./bans');
+const communityAccess = require('./communityAccess');
+const karma = require('./karma');
+const ranking = require('../utils/ranking');
+const { BadRequestError } = require('../utils/errors');
+
+// Voting on posts and comments.
+//
+// Each vote is a document in the Vote collection, and the counters on the
+// target are only ever changed with atomic updates derived from the value the
+// vote replaced, so concurrent votes can't overwrite each other.
+
+const TARGETS = {
+  post: { model: Post, field: 'post' },
+  comment: { model: Comment, field: 'comment' }
+};
+
+// Store the user's vote and return the value it replaced, and whether this is
+// the user's first vote on the target. Clearing a vote keeps its document with
+// value 0, so a cleared and recast vote doesn't count as a first vote again.
+const swapVote = async (userId, field, targetId, value, retried = false) => {
+  const filter = { user: userId, [field]: targetId };
+
+  if (value === 0) {
+    const cleared = await Vote.findOneAndUpdate(filter, { $set: { value } }, { new: false });
+    return { previous: cleared ? cleared.value : 0, first: false };
+  }
+
+  try {
+    const previous = await Vote.findOneAndUpdate(
+      filter,
+      { $set: { value } },
+      { upsert: true, new: false }
+    );
+    return previous
+      ? { previous: previous.value, first: false }
+      : { previous: 0, first: true };
+  } catch (err) {
+    // Two first votes raced on the upsert; the loser retries as an update
+    if (err.code === 11000 && !retried) {
+      return swapVote(userId, field, targetId, value, true);
+    }
+    throw err;
+  }
+};
+
+// Cast, change or clear (value 0) a vote on a post or comment.
+// Resolves to null when the target doesn't exist.
+const castVote = async (type, targetId, user, value) => {
+  const { model, field } = TARGETS[type];
+
+  const target = type === 'post'
+    ? await Post.findById(targetId).select('author community deleted')
+    : await Comment.findById(targetId).select('author post deleted').populate('post', 'community');
+
+  if (!target) return null;
+
+  if (target.deleted) {
+    throw new BadRequestError(`Cannot vote on a deleted ${type}`);
+  }
+
+  const community = type === 'post' ? target.community : target.post?.community;
+
+  await bans.assertNotBanned(community, user._id);
+  await communityAccess.assertCanViewByName(community, user._id);
+
+  const { previous, first } = await swapVote(user._id, field, target._id, value);
+
+  const up = (value === 1 ? 1 : 0) - (previous === 1 ? 1 : 0);
+  const down = (value === -1 ? 1 : 0) - (previous === -1 ? 1 : 0);
+
+  if (up === 0 && down === 0) {
+    return { target: await model.findById(target._id), previous, value };
+  }
+
+  // Only a user's first vote on a post can bump it up the rising feed, so
+  // toggling a vote doesn't push it further
+  const update = type === 'post'
+    ? ranking.voteUpdatePipeline({ up, down, upvoted: first && value === 1 })
+    : ranking.commentVoteUpdatePipeline({ up, down });
+
+  const updated = await model.findByIdAndUpdate(target._id, update, { new: true });
+
+  await karma.applyVote({
+    author: target.author,
+    community,
+    type,
+    delta: up - down
+  });
+
+  return { target: updated, previous, value };
+};
+
+// Map of target id to the user's vote, for the given post and comment ids
+const getUserVotes = async (userId, ids) => {
+  const votes = await Vote.find({
+    user: userId,
+    value: { $ne: 0 },
+    $or: [{ post: { $in: ids } }, { comment: { $in: ids } }]
+  })
+    .select('post comment value')
+    .lean();
+
+  const result = {};
+
+  votes.forEach(vote => {
+    result[(vote.post || vote.comment).toString()] = vote.value;
+  });
+
+  return result;
+};
+
+module.exports = {
+  castVote,
+  getUserVotes
+};
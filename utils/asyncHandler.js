@@ -0,0 +1,7 @@
+
+// Express 4 doesn't catch rejected promises from async handlers; wrap them so
+// errors reach the error middleware
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncHandler;
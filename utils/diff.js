@@ -0,0 +1,130 @@
+
+// Word diffs between versions of a text.
+//
+// Texts are split into words and the whitespace between them and compared
+// with Myers' algorithm. The result is a list of segments, each either kept
+// (`equal`), added (`insert`) or dropped (`delete`); joining the equal and
+// deleted segments gives the old text back, and the equal and inserted ones
+// the new text.
+
+// Past this many changed words the diff is reported as a full replacement,
+// which keeps the time and memory a diff takes bounded
+const MAX_EDITS = 2000;
+
+const tokenize = (text) => String(text || '').match(/\s+|\S+/g) || [];
+
+// Shortest edit script between two token lists, as [op, token] pairs; null
+// when it needs more than `maxEdits` edits
+const shortestEdit = (a, b, maxEdits) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // The furthest points reached with d - 1 edits, for backtracking
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) return backtrack(a, b, trace);
+    }
+  }
+
+  return null;
+};
+
+const backtrack = (a, b, trace) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const reached = trace[d];
+    const at = (k) => reached[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[x - 1]]);
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push(['insert', b[y - 1]]);
+      } else {
+        ops.push(['delete', a[x - 1]]);
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+// Merge runs of the same operation into segments
+const toSegments = (ops) => ops.reduce((segments, [op, text]) => {
+  const last = segments[segments.length - 1];
+
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    segments.push({ op, text });
+  }
+
+  return segments;
+}, []);
+
+// Diff two texts into a list of { op, text } segments
+const diffText = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Unchanged starts and ends are common and cheap to strip
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let end = 0;
+  while (end < a.length - start && end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+
+  const middleA = a.slice(start, a.length - end);
+  const middleB = b.slice(start, b.length - end);
+
+  const middle = shortestEdit(middleA, middleB, MAX_EDITS) || [
+    ...middleA.map(token => ['delete', token]),
+    ...middleB.map(token => ['insert', token])
+  ];
+
+  return toSegments([
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...a.slice(a.length - end).map(token => ['equal', token])
+  ]);
+};
+
+module.exports = {
+  MAX_EDITS,
+  diffText
+};
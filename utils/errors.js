@@ -0,0 +1,75 @@
+
+// HTTP errors.
+//
+// Throw these from routes and services; the error middleware turns them
+// into a response of the form { message, code, ...details }.
+
+class HttpError extends Error {
+  constructor(status, message, { code = 'ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message = 'Bad request', { code = 'BAD_REQUEST', details } = {}) {
+    super(400, message, { code, details });
+  }
+}
+
+// Request input that failed validation; `fields` maps each invalid field to
+// what is wrong with it
+class ValidationError extends BadRequestError {
+  constructor(fields, message) {
+    const [first] = Object.entries(fields);
+    super(message || (first ? `${first[0]} ${first[1]}` : 'Validation failed'), {
+      code: 'VALIDATION_FAILED',
+      details: { fields }
+    });
+    this.fields = fields;
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Authentication required', { code = 'UNAUTHORIZED', details } = {}) {
+    super(401, message, { code, details });
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden', { code = 'FORBIDDEN', details } = {}) {
+    super(403, message, { code, details });
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND', details } = {}) {
+    super(404, message, { code, details });
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message = 'Conflict', { code = 'CONFLICT', details } = {}) {
+    super(409, message, { code, details });
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message = 'Too many requests', { code = 'RATE_LIMITED', details } = {}) {
+    super(429, message, { code, details });
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,69 @@
+
+const { escapeRegex } = require('./searchQuery');
+
+// Highlighted snippets for search results.
+//
+// Text is HTML-escaped before matches are wrapped in <mark>, so snippets are
+// safe to render as HTML.
+
+const SNIPPET_LENGTH = 160;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Phrases match exactly; terms also match longer words they start, since the
+// text index matches on word stems
+const buildPattern = ({ terms = [], phrases = [] }) => {
+  const parts = [
+    ...phrases.map(phrase => escapeRegex(phrase)),
+    ...terms.map(term => `${escapeRegex(term)}\\w*`)
+  ].filter(Boolean);
+
+  if (parts.length === 0) return null;
+
+  return new RegExp(`(${parts.join('|')})`, 'gi');
+};
+
+// Cut a window around the first match and mark every match inside it
+const highlight = (text, parsed, length = SNIPPET_LENGTH) => {
+  if (!text) return null;
+
+  const pattern = buildPattern(parsed);
+  let start = 0;
+
+  if (pattern) {
+    const first = pattern.exec(text);
+    pattern.lastIndex = 0;
+
+    if (first) {
+      start = Math.max(0, first.index - Math.floor(length / 3));
+    }
+  }
+
+  const end = Math.min(text.length, start + length);
+  let snippet = text.slice(start, end);
+
+  if (start > 0) snippet = `…${snippet}`;
+  if (end < text.length) snippet = `${snippet}…`;
+
+  const escaped = escapeHtml(snippet);
+
+  if (!pattern) return escaped;
+
+  // Match against the escaped text so offsets line up with the output
+  const escapedPattern = buildPattern({
+    terms: (parsed.terms || []).map(escapeHtml),
+    phrases: (parsed.phrases || []).map(escapeHtml)
+  });
+
+  return escaped.replace(escapedPattern, '<mark>$1</mark>');
+};
+
+module.exports = {
+  escapeHtml,
+  highlight
+};
@@ -0,0 +1,201 @@
+
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+// Markdown rendering for post and comment bodies.
+//
+// Supports the usual formatting plus tables, strikethrough, >!spoilers!<
+// and links for bare URLs, r/community and u/username. Raw HTML in the
+// source is escaped rather than passed through, and the output is sanitized
+// against an allowlist on top of that, so it is safe to insert as-is.
+//
+// The rendered HTML is stored with the renderer version that produced it.
+// Bump RENDERER_VERSION whenever the output for the same source changes, then
+// run scripts/rerenderMarkdown.js to bring stored HTML up to date.
+
+const RENDERER_VERSION = 1;
+
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  breaks: false
+});
+
+// Images would let posts embed and track from arbitrary hosts
+md.disable('image');
+
+// Inline spoilers: >!hidden text!<
+md.inline.ruler.before('emphasis', 'spoiler', (state, silent) => {
+  const start = state.pos;
+
+  if (state.src.charCodeAt(start) !== 0x3E /* > */ || state.src.charCodeAt(start + 1) !== 0x21 /* ! */) {
+    return false;
+  }
+
+  const end = state.src.indexOf('!<', start + 2);
+
+  if (end === -1 || end > state.posMax || end === start + 2) return false;
+
+  if (!silent) {
+    const max = state.posMax;
+
+    state.push('spoiler_open', 'span', 1).attrSet('class', 'md-spoiler');
+
+    state.pos = start + 2;
+    state.posMax = end;
+    state.md.inline.tokenize(state);
+    state.posMax = max;
+
+    state.push('spoiler_close', 'span', -1);
+  }
+
+  state.pos = end + 2;
+
+  return true;
+});
+
+// A line starting with a spoiler is not a blockquote; it is read as a
+// paragraph for the inline rule above to pick up
+md.block.ruler.before('blockquote', 'spoiler_paragraph', (state, startLine, endLine, silent) => {
+  const start = state.bMarks[startLine] + state.tShift[startLine];
+
+  if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+  if (state.src.charCodeAt(start) !== 0x3E /* > */ || state.src.charCodeAt(start + 1) !== 0x21 /* ! */) {
+    return false;
+  }
+
+  if (state.src.slice(start, state.eMarks[startLine]).indexOf('!<') === -1) return false;
+
+  if (silent) return true;
+
+  let nextLine = startLine + 1;
+
+  while (nextLine < endLine && !state.isEmpty(nextLine)) nextLine++;
+
+  const content = state.getLines(startLine, nextLine, state.blkIndent, false).trim();
+
+  state.line = nextLine;
+
+  const open = state.push('paragraph_open', 'p', 1);
+  open.map = [startLine, nextLine];
+
+  const inline = state.push('inline', '', 0);
+  inline.content = content;
+  inline.map = [startLine, nextLine];
+  inline.children = [];
+
+  state.push('paragraph_close', 'p', -1);
+
+  return true;
+}, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+
+// r/community and u/username, with or without a leading slash; same
+// boundaries as mention notifications use
+const REFERENCE_PATTERN = /(^|[^\w/])(\/?([ru])\/([A-Za-z0-9_]+))/g;
+
+const linkReferences = (text, Token) => {
+  const tokens = [];
+  let last = 0;
+  let match;
+
+  REFERENCE_PATTERN.lastIndex = 0;
+
+  while ((match = REFERENCE_PATTERN.exec(text)) !== null) {
+    const [, before, reference, kind, name] = match;
+
+    // Usernames have at least three characters
+    if (kind === 'u' && name.length < 3) continue;
+
+    const at = match.index + before.length;
+
+    if (at > last) {
+      const plain = new Token('text', '', 0);
+      plain.content = text.slice(last, at);
+      tokens.push(plain);
+    }
+
+    const open = new Token('link_open', 'a', 1);
+    open.attrs = [['href', `/${kind}/${name}`]];
+    tokens.push(open);
+
+    const label = new Token('text', '', 0);
+    label.content = reference;
+    tokens.push(label);
+
+    tokens.push(new Token('link_close', 'a', -1));
+
+    last = at + reference.length;
+  }
+
+  if (last === 0) return null;
+
+  if (last < text.length) {
+    const plain = new Token('text', '', 0);
+    plain.content = text.slice(last);
+    tokens.push(plain);
+  }
+
+  return tokens;
+};
+
+md.core.ruler.after('linkify', 'references', (state) => {
+  state.tokens.forEach(block => {
+    if (block.type !== 'inline' || !block.children) return;
+
+    const children = [];
+    let linkDepth = 0;
+
+    block.children.forEach(token => {
+      if (token.type === 'link_open') linkDepth++;
+      if (token.type === 'link_close') linkDepth--;
+
+      const linked = token.type === 'text' && linkDepth === 0
+        ? linkReferences(token.content, state.Token)
+        : null;
+
+      children.push(...(linked || [token]));
+    });
+
+    block.children = children;
+  });
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'em', 'strong', 's', 'del', 'a', 'ul', 'ol', 'li', 'span',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    ol: ['start'],
+    span: ['class'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    span: ['md-spoiler']
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow ugc noopener' })
+  }
+};
+
+// Render Markdown source to sanitized HTML
+const render = (source) => {
+  if (!source) return '';
+
+  return sanitizeHtml(md.render(String(source)), SANITIZE_OPTIONS);
+};
+
+module.exports = {
+  RENDERER_VERSION,
+  render
+};
@@ -0,0 +1,222 @@
+
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+// Cursor-based pagination for list endpoints.
+//
+// A cursor is an opaque, base64url-encoded snapshot of the sort key values of
+// the first or last item on a page. The next page is everything strictly after
+// that item in sort order, so inserts between page loads can't shift results.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const cursorError = (message = 'Invalid cursor') => new BadRequestError(message, { code: 'INVALID_CURSOR' });
+
+// Clamp a requested page size to [1, max]
+const parseLimit = (limit, fallback = DEFAULT_LIMIT, max = MAX_LIMIT) => {
+  const parsed = parseInt(limit, 10);
+
+  if (Number.isNaN(parsed) || parsed < 1) return Math.min(fallback, max);
+
+  return Math.min(parsed, max);
+};
+
+// Tag values that don't survive a JSON round trip
+const serialize = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const deserialize = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw cursorError();
+  }
+  return value;
+};
+
+const getValue = (item, key) => {
+  if (typeof item.get === 'function') return item.get(key);
+  return key.split('.').reduce((obj, part) => (obj == null ? obj : obj[part]), item);
+};
+
+const encodeCursor = (item, keys) => {
+  const values = {};
+
+  keys.forEach(key => {
+    values[key] = serialize(getValue(item, key));
+  });
+
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, keys) => {
+  let values;
+
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw cursorError();
+  }
+
+  if (!values || typeof values !== 'object' || keys.some(key => !(key in values))) {
+    throw cursorError('Cursor does not match the requested sort');
+  }
+
+  return keys.map(key => deserialize(values[key]));
+};
+
+// Make sure every sort ends with a unique tie-breaker
+const normalizeSort = (sort) => {
+  const normalized = { ...sort };
+
+  if (!('_id' in normalized)) {
+    const directions = Object.values(normalized);
+    normalized._id = directions.length ? directions[directions.length - 1] : -1;
+  }
+
+  return normalized;
+};
+
+// Build a filter matching everything after `values` in the given sort order
+const afterCondition = (keys, directions, values) => {
+  const or = keys.map((key, i) => {
+    const clause = {};
+
+    for (let j = 0; j < i; j++) {
+      clause[keys[j]] = values[j];
+    }
+    clause[key] = { [directions[i] === -1 ? '$lt' : '$gt']: values[i] };
+
+    return clause;
+  });
+
+  return { $or: or };
+};
+
+// Order two sort key values the way MongoDB would for the types we sort on
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+
+  const left = a instanceof Date ? a.getTime() : a instanceof mongoose.Types.ObjectId ? a.toString() : a;
+  const right = b instanceof Date ? b.getTime() : b instanceof mongoose.Types.ObjectId ? b.toString() : b;
+
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+};
+
+// Run one or more Mongoose queries one merged page at a time.
+//
+// Every query must have the sort keys as fields; results are merged in sort
+// order, so listings can span collections (e.g. posts and comments).
+const paginateMany = async (queries, sort, { after, before, limit } = {}) => {
+  const sortSpec = normalizeSort(sort);
+  const keys = Object.keys(sortSpec);
+  const directions = keys.map(key => sortSpec[key]);
+  const pageSize = parseLimit(limit);
+  const backwards = Boolean(before) && !after;
+
+  const querySort = {};
+  keys.forEach((key, i) => {
+    querySort[key] = backwards ? -directions[i] : directions[i];
+  });
+
+  let condition = null;
+
+  if (after || before) {
+    const values = decodeCursor(backwards ? before : after, keys);
+    condition = afterCondition(keys, keys.map(key => querySort[key]), values);
+  }
+
+  const batches = await Promise.all(queries.map(query => {
+    if (condition) query.and([condition]);
+    return query.sort(querySort).limit(pageSize + 1).exec();
+  }));
+
+  let results = batches.flat();
+
+  if (queries.length > 1) {
+    results.sort((a, b) => {
+      for (const key of keys) {
+        const order = compareValues(getValue(a, key), getValue(b, key)) * querySort[key];
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+  }
+
+  const hasMore = results.length > pageSize;
+  const items = hasMore ? results.slice(0, pageSize) : results;
+
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  // Walking forwards there is a previous page whenever we started from a
+  // cursor; walking backwards there is always a next page
+  const hasNext = backwards ? true : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(after);
+
+  return {
+    items,
+    nextCursor: hasNext && last ? encodeCursor(last, keys) : null,
+    prevCursor: hasPrev && first ? encodeCursor(first, keys) : null,
+    limit: pageSize
+  };
+};
+
+// Run a Mongoose query one page at a time.
+//
+// `query` is a find() query with its filter and any populates already applied;
+// `sort` is the sort spec for the listing. `after` and `before` are cursors
+// taken from a previous response.
+const paginate = (query, sort, options) => paginateMany([query], sort, options);
+
+// Offset-backed cursors, for sorts on computed values such as text relevance
+// that can't be expressed as a range query. Same envelope as paginate.
+const paginateByOffset = async (query, sort, { after, before, limit } = {}) => {
+  const pageSize = parseLimit(limit);
+  const cursor = after || before;
+  let offset = 0;
+
+  if (cursor) {
+    const [position] = decodeCursor(cursor, ['offset']);
+
+    if (!Number.isInteger(position) || position < 0) throw cursorError();
+
+    offset = after ? position : Math.max(0, position - pageSize);
+  }
+
+  const results = await query.sort(sort).skip(offset).limit(pageSize + 1).exec();
+  const hasMore = results.length > pageSize;
+  const items = hasMore ? results.slice(0, pageSize) : results;
+
+  const offsetCursor = (position) => encodeCursor({ offset: position }, ['offset']);
+
+  return {
+    items,
+    nextCursor: hasMore ? offsetCursor(offset + pageSize) : null,
+    prevCursor: offset > 0 ? offsetCursor(offset) : null,
+    limit: pageSize
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  paginateMany,
+  paginateByOffset
+};
@@ -0,0 +1,312 @@
+
+// Ranking helpers for post feeds.
+//
+// Scores are stored on each post and recomputed whenever its votes change, so
+// feeds can be served straight from an index instead of sorting in memory.
+
+// Reference point for the hot score (same epoch reddit uses)
+const HOT_EPOCH = 1134028003;
+
+// Seconds of age that cost one order of magnitude of votes in the hot score
+const HOT_DECAY = 45000;
+
+// Time constant of the rising score; votes older than a few of these barely count
+const RISING_DECAY = 3 * 60 * 60;
+
+// Only posts younger than this are considered for the rising feed
+const RISING_WINDOW = 24 * 60 * 60 * 1000;
+
+// Time windows accepted by the top and controversial sorts
+const TIME_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const SORTS = ['hot', 'new', 'top', 'rising', 'controversial'];
+
+const toSeconds = (date) => new Date(date).getTime() / 1000;
+
+// Log-scaled net votes plus a bonus for recency
+const hotScore = (upvotes, downvotes, createdAt) => {
+  const score = upvotes - downvotes;
+  const order = Math.log10(Math.max(Math.abs(score), 1));
+  const sign = score > 0 ? 1 : score < 0 ? -1 : 0;
+  const seconds = toSeconds(createdAt) - HOT_EPOCH;
+
+  return Number((sign * order + seconds / HOT_DECAY).toFixed(7));
+};
+
+// Posts with many votes split evenly between up and down score highest
+const controversialScore = (upvotes, downvotes) => {
+  if (upvotes <= 0 || downvotes <= 0) return 0;
+
+  const magnitude = upvotes + downvotes;
+  const balance = upvotes > downvotes ? downvotes / upvotes : upvotes / downvotes;
+
+  return Math.pow(magnitude, balance);
+};
+
+// Initial rising score; a new post counts as a single unit of activity
+const initialRisingScore = (createdAt) => toSeconds(createdAt) / RISING_DECAY;
+
+// Adds one upvote at `at` to an exponentially decaying vote velocity.
+//
+// The velocity is kept in log space relative to a fixed epoch, so every stored
+// score decays at the same rate and posts can be compared without rewriting
+// the ones nobody is voting on.
+const bumpRisingScore = (risingScore, at = new Date()) => {
+  const vote = toSeconds(at) / RISING_DECAY;
+
+  if (risingScore === undefined || risingScore === null) return vote;
+
+  const high = Math.max(risingScore, vote);
+  const low = Math.min(risingScore, vote);
+
+  return high + Math.log1p(Math.exp(low - high));
+};
+
+// Recompute the stored scores of a post document in place
+const applyScores = (post) => {
+  const createdAt = post.createdAt || new Date();
+
+  post.score = post.upvotes - post.downvotes;
+  post.hotScore = hotScore(post.upvotes, post.downvotes, createdAt);
+  post.controversialScore = controversialScore(post.upvotes, post.downvotes);
+
+  if (post.risingScore === undefined || post.risingScore === null) {
+    post.risingScore = initialRisingScore(createdAt);
+  }
+
+  return post;
+};
+
+// Aggregation form of controversialScore
+const controversialExpression = {
+  $cond: [
+    { $or: [{ $lte: ['$upvotes', 0] }, { $lte: ['$downvotes', 0] }] },
+    0,
+    {
+      $pow: [
+        { $add: ['$upvotes', '$downvotes'] },
+        {
+          $cond: [
+            { $gt: ['$upvotes', '$downvotes'] },
+            { $divide: ['$downvotes', '$upvotes'] },
+            { $divide: ['$upvotes', '$downvotes'] }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+// Update pipeline that applies a vote change to a post and recomputes its
+// scores in the same write, so concurrent votes can't leave stale rankings.
+// Mirrors hotScore, controversialScore and bumpRisingScore above.
+const voteUpdatePipeline = ({ up = 0, down = 0, upvoted = false, at = new Date() }) => {
+  const score = { $subtract: ['$upvotes', '$downvotes'] };
+  const seconds = {
+    $subtract: [{ $divide: [{ $toLong: '$createdAt' }, 1000] }, HOT_EPOCH]
+  };
+  const sign = {
+    $cond: [{ $gt: [score, 0] }, 1, { $cond: [{ $lt: [score, 0] }, -1, 0] }]
+  };
+  const order = { $log10: { $max: [{ $abs: score }, 1] } };
+
+  const scores = {
+    score,
+    hotScore: {
+      $round: [{ $add: [{ $multiply: [sign, order] }, { $divide: [seconds, HOT_DECAY] }] }, 7]
+    },
+    controversialScore: controversialExpression
+  };
+
+  if (upvoted) {
+    const vote = toSeconds(at) / RISING_DECAY;
+
+    scores.risingScore = {
+      $cond: [
+        { $eq: [{ $ifNull: ['$risingScore', null] }, null] },
+        vote,
+        {
+          $let: {
+            vars: {
+              high: { $max: ['$risingScore', vote] },
+              low: { $min: ['$risingScore', vote] }
+            },
+            in: {
+              $add: ['$$high', { $ln: { $add: [1, { $exp: { $subtract: ['$$low', '$$high'] } }] } }]
+            }
+          }
+        }
+      ]
+    };
+  }
+
+  return [
+    {
+      $set: {
+        upvotes: { $add: ['$upvotes', up] },
+        downvotes: { $add: ['$downvotes', down] }
+      }
+    },
+    { $set: scores }
+  ];
+};
+
+// z-score for an 80% confidence interval
+const CONFIDENCE_Z = 1.281551565545;
+
+// Lower bound of the Wilson score interval for the share of upvotes. A comment
+// with 10 up and 1 down ranks above one with 1 up and 0 down, which a plain
+// ratio or net score gets wrong.
+const confidenceScore = (upvotes, downvotes) => {
+  const n = upvotes + downvotes;
+
+  if (n === 0) return 0;
+
+  const z = CONFIDENCE_Z;
+  const phat = upvotes / n;
+
+  return (phat + z * z / (2 * n) - z * Math.sqrt((phat * (1 - phat) + z * z / (4 * n)) / n)) /
+    (1 + z * z / n);
+};
+
+// Recompute the stored scores of a comment document in place
+const applyCommentScores = (comment) => {
+  comment.score = comment.upvotes - comment.downvotes;
+  comment.confidenceScore = confidenceScore(comment.upvotes, comment.downvotes);
+  comment.controversialScore = controversialScore(comment.upvotes, comment.downvotes);
+
+  return comment;
+};
+
+// Update pipeline that applies a vote change to a comment and recomputes its
+// scores in the same write. Mirrors applyCommentScores above.
+const commentVoteUpdatePipeline = ({ up = 0, down = 0 }) => {
+  const z = CONFIDENCE_Z;
+  const n = { $add: ['$upvotes', '$downvotes'] };
+
+  const confidence = {
+    $cond: [
+      { $eq: [n, 0] },
+      0,
+      {
+        $let: {
+          vars: { n, phat: { $divide: ['$upvotes', n] } },
+          in: {
+            $divide: [
+              {
+                $subtract: [
+                  { $add: ['$$phat', { $divide: [z * z, { $multiply: [2, '$$n'] }] }] },
+                  {
+                    $multiply: [z, {
+                      $sqrt: {
+                        $divide: [
+                          {
+                            $add: [
+                              { $multiply: ['$$phat', { $subtract: [1, '$$phat'] }] },
+                              { $divide: [z * z, { $multiply: [4, '$$n'] }] }
+                            ]
+                          },
+                          '$$n'
+                        ]
+                      }
+                    }]
+                  }
+                ]
+              },
+              { $add: [1, { $divide: [z * z, '$$n'] }] }
+            ]
+          }
+        }
+      }
+    ]
+  };
+
+  return [
+    {
+      $set: {
+        upvotes: { $add: ['$upvotes', up] },
+        downvotes: { $add: ['$downvotes', down] }
+      }
+    },
+    {
+      $set: {
+        score: { $subtract: ['$upvotes', '$downvotes'] },
+        confidenceScore: confidence,
+        controversialScore: controversialExpression
+      }
+    }
+  ];
+};
+
+const COMMENT_SORTS = {
+  best: { confidenceScore: -1, createdAt: -1, _id: -1 },
+  top: { score: -1, createdAt: -1, _id: -1 },
+  new: { createdAt: -1, _id: -1 },
+  old: { createdAt: 1, _id: 1 },
+  controversial: { controversialScore: -1, createdAt: -1, _id: -1 }
+};
+
+// Sort spec for a comment listing, best by default
+const getCommentSort = (sort = 'best') => COMMENT_SORTS[sort] || COMMENT_SORTS.best;
+
+// Build the sort and extra filter for a post listing
+const getPostSort = (sort = 'hot', t = 'all') => {
+  const filter = {};
+  let sortOption;
+
+  const since = (window) => {
+    const span = TIME_WINDOWS[window] !== undefined ? TIME_WINDOWS[window] : TIME_WINDOWS.all;
+
+    if (span) {
+      filter.createdAt = { $gte: new Date(Date.now() - span) };
+    }
+  };
+
+  switch (sort) {
+    case 'new':
+      sortOption = { createdAt: -1, _id: -1 };
+      break;
+    case 'top':
+      since(t);
+      sortOption = { score: -1, createdAt: -1, _id: -1 };
+      break;
+    case 'controversial':
+      since(t);
+      sortOption = { controversialScore: -1, createdAt: -1, _id: -1 };
+      break;
+    case 'rising':
+      filter.createdAt = { $gte: new Date(Date.now() - RISING_WINDOW) };
+      sortOption = { risingScore: -1, _id: -1 };
+      break;
+    case 'hot':
+    default:
+      sortOption = { hotScore: -1, _id: -1 };
+      break;
+  }
+
+  return { filter, sort: sortOption };
+};
+
+module.exports = {
+  SORTS,
+  TIME_WINDOWS,
+  hotScore,
+  controversialScore,
+  initialRisingScore,
+  bumpRisingScore,
+  applyScores,
+  voteUpdatePipeline,
+  getPostSort,
+  COMMENT_SORTS,
+  confidenceScore,
+  applyCommentScores,
+  commentVoteUpdatePipeline,
+  getCommentSort
+};
@@ -0,0 +1,11 @@
+
+const { parentPort } = require('worker_threads');
+
+// Worker thread for utils/safeRegex; tests one pattern per message
+parentPort.on('message', ({ id, pattern, flags, text }) => {
+  try {
+    parentPort.postMessage({ id, matched: new RegExp(pattern, flags).test(text) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
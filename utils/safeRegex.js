@@ -0,0 +1,114 @@
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Matching user-written regexes, like those in automod rules.
+//
+// A badly written pattern can backtrack for seconds or far longer on short
+// input, which would block the event loop for every request. Patterns run in
+// a worker thread instead, one at a time, and the worker is terminated and
+// replaced when a match runs past its timeout.
+
+const DEFAULT_TIMEOUT_MS = 100;
+
+// A worker that hasn't come online by then is given up on
+const STARTUP_TIMEOUT_MS = 5000;
+
+let current = null;
+let queue = Promise.resolve();
+let nextId = 0;
+
+// The current worker, started if there is none. Its `ready` promise rejects
+// when it fails to start, and the next call starts a new one.
+const getWorker = () => {
+  if (!current) {
+    const worker = new Worker(path.join(__dirname, 'regexWorker.js'));
+    const entry = { worker };
+
+    entry.ready = new Promise((resolve, reject) => {
+      const fail = (err) => {
+        clearTimeout(timer);
+        if (current === entry) current = null;
+        worker.terminate();
+        reject(err);
+      };
+
+      const timer = setTimeout(() => fail(new Error('Regex worker did not start in time')), STARTUP_TIMEOUT_MS);
+
+      worker.once('online', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      worker.once('error', fail);
+      worker.once('exit', (code) => fail(new Error(`Regex worker exited with code ${code}`)));
+    });
+
+    current = entry;
+
+    worker.on('error', (err) => console.error('Regex worker failed:', err));
+    worker.on('exit', () => {
+      if (current === entry) current = null;
+    });
+  }
+
+  return current;
+};
+
+const run = async (pattern, flags, text, timeoutMs) => {
+  const { worker, ready } = getWorker();
+
+  // An idle worker doesn't keep the process alive
+  worker.ref();
+
+  // Starting the worker doesn't count against the timeout
+  try {
+    await ready;
+  } catch (err) {
+    worker.unref();
+    throw err;
+  }
+
+  const id = ++nextId;
+
+  return new Promise((resolve, reject) => {
+    const onMessage = (message) => {
+      if (message.id !== id) return;
+
+      clearTimeout(timer);
+      worker.off('message', onMessage);
+      worker.unref();
+
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.matched);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      worker.off('message', onMessage);
+      if (current && current.worker === worker) current = null;
+      worker.terminate();
+      resolve(null);
+    }, timeoutMs);
+
+    worker.on('message', onMessage);
+    worker.postMessage({ id, pattern, flags, text });
+  });
+};
+
+// Test `text` against a pattern. Resolves to whether it matched, or to null
+// when the match timed out; rejects when the pattern is invalid or the worker
+// couldn't be started.
+const test = (pattern, text, { flags = '', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+  const result = queue.then(() => run(pattern, flags, text, timeoutMs));
+
+  queue = result.catch(() => {});
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  test
+};
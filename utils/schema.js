@@ -0,0 +1,212 @@
+
+const { MAX_LIMIT } = require('./pagination');
+
+// Small schema language for request input.
+//
+// A schema is an object mapping field names to rules built with the
+// functions below. Fields are required unless the rule has `optional: true`
+// or a `default`; `nullable: true` also accepts null or an empty string,
+// which comes through as null. Parsing returns only the declared fields, with
+// values converted to their type. Query and route parameters arrive as
+// strings, so in those `coerce` is on and numbers, booleans and
+// comma-separated arrays are converted from strings.
+
+class FieldError extends Error {}
+
+const fail = (message) => {
+  throw new FieldError(message);
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Check one value against a rule; records an error and returns undefined when
+// it doesn't pass
+const check = (rule, value, path, ctx, errors) => {
+  const missing = value === undefined || (ctx.coerce && value === '');
+
+  if (!missing && rule.nullable && (value === null || value === '')) return null;
+
+  if (value === null) {
+    errors[path] = rule.optional ? 'cannot be null' : 'is required';
+    return undefined;
+  }
+
+  if (missing) {
+    if (rule.default !== undefined) {
+      return typeof rule.default === 'function' ? rule.default() : rule.default;
+    }
+    if (!rule.optional) errors[path] = 'is required';
+    return undefined;
+  }
+
+  try {
+    return rule.parse(value, ctx, path, errors);
+  } catch (err) {
+    if (!(err instanceof FieldError)) throw err;
+    errors[path] = err.message;
+    return undefined;
+  }
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+// Parse an object against a schema, collecting errors by field path
+const parseObject = (shape, value, ctx, path, errors) => {
+  const result = {};
+
+  Object.entries(shape).forEach(([key, rule]) => {
+    const parsed = check(rule, value[key], join(path, key), ctx, errors);
+    if (parsed !== undefined) result[key] = parsed;
+  });
+
+  return result;
+};
+
+const string = (options = {}) => ({
+  ...options,
+  parse: (value) => {
+    if (typeof value !== 'string') fail('must be a string');
+
+    let result = options.trim === false ? value : value.trim();
+    if (options.lowercase) result = result.toLowerCase();
+
+    if (options.min !== undefined && result.length < options.min) {
+      fail(options.min === 1 ? 'cannot be empty' : `must be at least ${options.min} characters`);
+    }
+    if (options.max !== undefined && result.length > options.max) {
+      fail(`must be at most ${options.max} characters`);
+    }
+    if (options.pattern && !options.pattern.test(result)) {
+      fail(options.patternMessage || 'is not in the expected format');
+    }
+
+    return result;
+  }
+});
+
+const numeric = (integer) => (options = {}) => ({
+  ...options,
+  parse: (value, ctx) => {
+    let result = value;
+
+    if (ctx.coerce && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+      result = Number(value);
+    }
+
+    if (typeof result !== 'number' || !Number.isFinite(result)) {
+      fail(integer ? 'must be an integer' : 'must be a number');
+    }
+    if (integer && !Number.isInteger(result)) fail('must be an integer');
+    if (options.min !== undefined && result < options.min) fail(`must be at least ${options.min}`);
+    if (options.max !== undefined && result > options.max) fail(`must be at most ${options.max}`);
+
+    return result;
+  }
+});
+
+const int = numeric(true);
+const number = numeric(false);
+
+const boolean = (options = {}) => ({
+  ...options,
+  parse: (value, ctx) => {
+    if (typeof value === 'boolean') return value;
+
+    if (ctx.coerce && ['true', '1'].includes(value)) return true;
+    if (ctx.coerce && ['false', '0'].includes(value)) return false;
+
+    return fail('must be true or false');
+  }
+});
+
+const oneOf = (values, options = {}) => ({
+  ...options,
+  parse: (value) => {
+    if (!values.includes(value)) fail(`must be one of: ${values.join(', ')}`);
+    return value;
+  }
+});
+
+const objectId = (options = {}) => ({
+  ...options,
+  parse: (value) => {
+    if (typeof value !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value)) fail('must be a valid id');
+    return value;
+  }
+});
+
+const date = (options = {}) => ({
+  ...options,
+  parse: (value) => {
+    const result = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+
+    if (!result || Number.isNaN(result.getTime())) fail('must be a valid date');
+    if (options.future && result <= new Date()) fail('must be in the future');
+
+    return result;
+  }
+});
+
+const array = (item, options = {}) => ({
+  ...options,
+  parse: (value, ctx, path, errors) => {
+    const list = ctx.coerce && typeof value === 'string' ? value.split(',').map(entry => entry.trim()) : value;
+
+    if (!Array.isArray(list)) fail('must be an array');
+    if (options.min !== undefined && list.length < options.min) {
+      fail(`must have at least ${options.min} item${options.min === 1 ? '' : 's'}`);
+    }
+    if (options.max !== undefined && list.length > options.max) {
+      fail(`must have at most ${options.max} items`);
+    }
+
+    return list.map((entry, i) => check(item, entry, join(path, i), ctx, errors));
+  }
+});
+
+const object = (shape, options = {}) => ({
+  ...options,
+  parse: (value, ctx, path, errors) => {
+    if (!isPlainObject(value)) fail('must be an object');
+    return parseObject(shape, value, ctx, path, errors);
+  }
+});
+
+const any = (options = {}) => ({
+  ...options,
+  parse: (value) => value
+});
+
+// Cursor pagination query parameters
+const page = (maxLimit = MAX_LIMIT) => ({
+  after: string({ optional: true, max: 2000 }),
+  before: string({ optional: true, max: 2000 }),
+  limit: int({ optional: true, min: 1, max: maxLimit })
+});
+
+// Parse `value` against a schema. Resolves to { value, errors } with errors
+// keyed by field path.
+const parse = (shape, value, { coerce = false } = {}) => {
+  const errors = {};
+
+  if (!isPlainObject(value)) {
+    return { value: {}, errors: { '': 'must be an object' } };
+  }
+
+  return { value: parseObject(shape, value, { coerce }, '', errors), errors };
+};
+
+module.exports = {
+  string,
+  int,
+  number,
+  boolean,
+  oneOf,
+  objectId,
+  date,
+  array,
+  object,
+  any,
+  page,
+  parse
+};
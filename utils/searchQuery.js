@@ -0,0 +1,69 @@
+
+const { BadRequestError } = require('./errors');
+
+// Parser for search query strings.
+//
+// Supports free terms, "quoted phrases" and the operators author:, community:,
+// before: and after:. Unknown operators are treated as plain terms.
+
+const TOKEN = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+const OPERATORS = ['author', 'community', 'before', 'after'];
+
+const parseDate = (value, operator) => {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`Invalid date for ${operator}: ${value}`, { code: 'INVALID_QUERY' });
+  }
+
+  return date;
+};
+
+const parseSearchQuery = (q = '') => {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    author: null,
+    community: null,
+    before: null,
+    after: null
+  };
+
+  for (const match of String(q).matchAll(TOKEN)) {
+    const [raw, operator, quotedValue, value, phrase, term] = match;
+    const operand = quotedValue !== undefined ? quotedValue : value;
+
+    if (operator && OPERATORS.includes(operator.toLowerCase())) {
+      const name = operator.toLowerCase();
+
+      if (name === 'author') parsed.author = operand;
+      if (name === 'community') parsed.community = operand.toLowerCase().replace(/^r\//, '');
+      if (name === 'before' || name === 'after') parsed[name] = parseDate(operand, name);
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+    } else {
+      parsed.terms.push(term !== undefined ? term : raw);
+    }
+  }
+
+  return parsed;
+};
+
+// Whether the query has anything to match text against
+const hasText = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+// Build a MongoDB $text search string; phrases stay quoted
+const toTextSearch = (parsed) => [
+  ...parsed.terms.map(term => term.replace(/"/g, '')),
+  ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`)
+].join(' ');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  parseSearchQuery,
+  hasText,
+  toTextSearch,
+  escapeRegex
+};
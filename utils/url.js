@@ -0,0 +1,41 @@
+
+// URL helpers for link posts.
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref_src)$/i;
+
+// Normalize a user-supplied URL so the same link always stores the same way.
+// Returns null for anything that isn't an absolute http(s) URL.
+const normalizeUrl = (raw) => {
+  let url;
+
+  try {
+    url = new URL(String(raw).trim());
+  } catch (err) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) {
+    return null;
+  }
+
+  // Credentials in links are never intended for other readers
+  url.username = '';
+  url.password = '';
+  url.hash = '';
+
+  [...url.searchParams.keys()]
+    .filter(key => TRACKING_PARAMS.test(key))
+    .forEach(key => url.searchParams.delete(key));
+
+  // URL already lowercases the host and drops default ports
+  return url.toString();
+};
+
+// Domain a link is listed under, without a leading www.
+const getDomain = (normalizedUrl) => new URL(normalizedUrl).hostname.replace(/^www\./, '');
+
+module.exports = {
+  normalizeUrl,
+  getDomain
+};